@@ -0,0 +1,33 @@
+// Build identifier used to version caches
+//
+// Hashes everything that ends up in the bundle (sources, index.html and the
+// dependency manifest), so the id only changes when the build output can.
+// Set BUILD_ID (e.g. a commit SHA) to override it.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+const INPUTS = ['src', 'index.html', 'package.json', 'package-lock.json'];
+
+const listFiles = (target) => {
+  if (!fs.existsSync(target)) return [];
+  if (!fs.statSync(target).isDirectory()) return [target];
+
+  return fs
+    .readdirSync(target)
+    .sort()
+    .flatMap((name) => listFiles(path.join(target, name)));
+};
+
+export const getBuildId = (root = process.cwd()) => {
+  if (process.env.BUILD_ID) return process.env.BUILD_ID;
+
+  const hash = createHash('sha256');
+  INPUTS.flatMap((input) => listFiles(path.join(root, input))).forEach((file) => {
+    hash.update(path.relative(root, file));
+    hash.update(fs.readFileSync(file));
+  });
+
+  return hash.digest('hex').slice(0, 8);
+};
@@ -0,0 +1,90 @@
+// Local collector for error reports and metrics
+//
+// The dev and preview servers accept JSON POSTs at /__collect/<name>, log a
+// one-line summary of each batch and keep the last ones in memory. GET the
+// same URL to read them back, DELETE to clear them. Point the reporters at it:
+//
+//   VITE_ERROR_ENDPOINT=/__collect/errors VITE_METRICS_ENDPOINT=/__collect/metrics npm run dev
+//
+// Nothing is added to production builds.
+
+const PREFIX = '/__collect/';
+const MAX_BATCHES = 50;
+
+// "2 errors (TypeError: x is undefined, Error: Request failed)"
+const summarize = (payload) => {
+  if (!payload || typeof payload !== 'object') return JSON.stringify(payload);
+  return Object.entries(payload)
+    .map(([key, value]) => {
+      if (!Array.isArray(value)) return key;
+      const labels = value.map(item => (item.message ? `${item.type}: ${item.message}` : item.name));
+      return `${value.length} ${key} (${labels.join(', ')})`;
+    })
+    .join('; ');
+};
+
+const sendJson = (res, body) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+export default function collectorStub({ log = true } = {}) {
+  // name -> [{ receivedAt, payload }], oldest first
+  const batches = new Map();
+
+  const createMiddleware = logger => (req, res, next) => {
+    const [pathname] = req.url.split('?');
+    if (!pathname.startsWith(PREFIX)) return next();
+    const name = pathname.slice(PREFIX.length);
+
+    if (req.method === 'GET') return sendJson(res, batches.get(name) || []);
+
+    if (req.method === 'DELETE') {
+      batches.delete(name);
+      res.statusCode = 204;
+      return res.end();
+    }
+
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      return res.end();
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        res.statusCode = 400;
+        res.end('Invalid JSON');
+        return;
+      }
+
+      const received = batches.get(name) || [];
+      received.push({ receivedAt: new Date().toISOString(), payload });
+      if (received.length > MAX_BATCHES) received.shift();
+      batches.set(name, received);
+
+      if (log) logger.info(`[collector] ${pathname} ${summarize(payload)}`, { timestamp: true });
+      res.statusCode = 204;
+      res.end();
+    });
+  };
+
+  return {
+    name: 'collector-stub',
+
+    configureServer(server) {
+      server.middlewares.use(createMiddleware(server.config.logger));
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(createMiddleware(server.config.logger));
+    }
+  };
+}
@@ -0,0 +1,27 @@
+// Minify the service worker
+//
+// vite-plugin-pwa builds src/sw.js as a separate library build, which doesn't
+// read the app's config and leaves ES output unminified. Added to its
+// `injectManifest.plugins`, this runs terser over the worker with the same
+// options as the app. It works on the finished bundle, after Vite has
+// reformatted the library output; source maps (off in this app) aren't updated.
+
+export default function minifyServiceWorker(terserOptions = {}) {
+  return {
+    name: 'minify-service-worker',
+    apply: 'build',
+
+    async generateBundle(outputOptions, bundle) {
+      const { minify } = await import('terser');
+      const chunks = Object.values(bundle).filter(file => file.type === 'chunk');
+
+      for (const chunk of chunks) {
+        const result = await minify(chunk.code, {
+          ...terserOptions,
+          module: outputOptions.format === 'es'
+        });
+        chunk.code = result.code;
+      }
+    }
+  };
+}
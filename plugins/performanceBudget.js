@@ -0,0 +1,246 @@
+// Performance budget enforcement for production builds
+//
+// Reads a budget file, measures every emitted file (raw, gzip and brotli),
+// prints a comparison against the previous build and fails the build when a
+// budget is exceeded. Gzip/brotli sizes come from the `.gz`/`.br` files written
+// by vite-plugin-compression when they exist, and are computed otherwise.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+const COMPRESSIONS = ['raw', 'gzip', 'brotli'];
+
+const ASSET_TYPES = {
+  script: /\.m?js$/i,
+  style: /\.css$/i,
+  html: /\.html$/i,
+  image: /\.(png|jpe?g|gif|svg|webp|avif|ico)$/i,
+  font: /\.(woff2?|ttf|otf|eot)$/i
+};
+
+const UNITS = { b: 1, kb: 1000, mb: 1000 * 1000 };
+
+// Accepts bytes as a number or a string like "150 kB" (1 kB = 1000 bytes, as Vite reports)
+export const parseSize = (size) => {
+  if (typeof size === 'number') return size;
+
+  const match = /^\s*([\d.]+)\s*(b|kb|mb)?\s*$/i.exec(String(size));
+  if (!match) {
+    throw new Error(`Invalid budget size: "${size}"`);
+  }
+  return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+};
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+// Minimal glob support: `**` spans directories, `*` and `?` don't, `{a,b}` alternates
+export const globToRegExp = (glob) => {
+  const source = glob
+    .split(/(\*\*\/?|\*|\?|\{[^}]*\})/)
+    .map((part) => {
+      if (part.startsWith('{') && part.endsWith('}')) {
+        const options = part.slice(1, -1).split(',');
+        return `(?:${options.map(escapeRegExp).join('|')})`;
+      }
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return escapeRegExp(part);
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+const getAssetType = (file) =>
+  Object.keys(ASSET_TYPES).find((type) => ASSET_TYPES[type].test(file)) || 'other';
+
+const formatSize = (bytes) => (bytes == null ? '-' : `${(bytes / 1000).toFixed(2)} kB`);
+
+const formatDelta = (current, previous) => {
+  if (previous == null) return 'new';
+  const delta = current - previous;
+  if (delta === 0) return '±0';
+  return `${delta > 0 ? '+' : '-'}${formatSize(Math.abs(delta))}`;
+};
+
+const listFiles = (dir, base = dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(fullPath, base);
+    return [path.relative(base, fullPath).split(path.sep).join('/')];
+  });
+
+// Prefer the real compressed file, fall back to compressing in memory
+const measureCompressed = (filePath, ext, compress) => {
+  const compressedPath = `${filePath}${ext}`;
+  if (fs.existsSync(compressedPath)) {
+    return fs.statSync(compressedPath).size;
+  }
+  return compress(fs.readFileSync(filePath)).length;
+};
+
+const measureFile = (outDir, file) => {
+  const filePath = path.join(outDir, file);
+  return {
+    file,
+    type: getAssetType(file),
+    raw: fs.statSync(filePath).size,
+    gzip: measureCompressed(filePath, '.gz', (buffer) => zlib.gzipSync(buffer, { level: 9 })),
+    brotli: measureCompressed(filePath, '.br', (buffer) => zlib.brotliCompressSync(buffer))
+  };
+};
+
+const readJson = (file) => {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+};
+
+const checkLimits = (label, sizes, limits = {}) =>
+  COMPRESSIONS.filter((kind) => limits[kind] != null && sizes[kind] > parseSize(limits[kind]))
+    .map((kind) => ({
+      label,
+      kind,
+      size: sizes[kind],
+      limit: parseSize(limits[kind])
+    }));
+
+const sumSizes = (files) =>
+  files.reduce(
+    (total, file) => {
+      COMPRESSIONS.forEach((kind) => { total[kind] += file[kind]; });
+      return total;
+    },
+    { raw: 0, gzip: 0, brotli: 0 }
+  );
+
+export const evaluateBudget = (files, budget) => {
+  const chunkRules = (budget.chunks || []).map((rule) => ({
+    ...rule,
+    pattern: globToRegExp(rule.match)
+  }));
+  const violations = [];
+
+  // The first matching rule applies, so list specific patterns first
+  files.forEach((file) => {
+    const rule = chunkRules.find(({ pattern }) => pattern.test(file.file));
+    if (rule) {
+      violations.push(...checkLimits(file.file, file, rule));
+    }
+  });
+
+  Object.entries(budget.types || {}).forEach(([type, limits]) => {
+    const totals = sumSizes(files.filter((file) => file.type === type));
+    violations.push(...checkLimits(`all ${type} files`, totals, limits));
+  });
+
+  if (budget.total) {
+    violations.push(...checkLimits('total', sumSizes(files), budget.total));
+  }
+
+  return violations;
+};
+
+const printReport = (logger, files, previousFiles, violations) => {
+  const previous = new Map();
+  (previousFiles || []).forEach((file) => {
+    // Hashes change between builds, so compare on the name without the hash
+    previous.set(file.file.replace(/-[\w-]{8}(?=\.)/, ''), file);
+  });
+
+  const violating = new Set(violations.map(({ label }) => label));
+  const rows = files.map((file) => {
+    const before = previous.get(file.file.replace(/-[\w-]{8}(?=\.)/, ''));
+    return [
+      violating.has(file.file) ? '✗' : ' ',
+      file.file,
+      formatSize(file.raw),
+      formatSize(file.gzip),
+      formatSize(file.brotli),
+      formatDelta(file.gzip, before?.gzip)
+    ];
+  });
+  const totals = sumSizes(files);
+  const previousTotals = previousFiles ? sumSizes(previousFiles) : {};
+  rows.push([
+    violating.has('total') ? '✗' : ' ',
+    'total',
+    formatSize(totals.raw),
+    formatSize(totals.gzip),
+    formatSize(totals.brotli),
+    formatDelta(totals.gzip, previousTotals.gzip)
+  ]);
+
+  const header = [' ', 'File', 'Raw', 'Gzip', 'Brotli', 'Δ Gzip'];
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...rows.map((row) => row[i].length))
+  );
+  const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+  logger.info(`\nPerformance budget\n${formatRow(header)}`);
+  rows.forEach((row) => logger.info(formatRow(row)));
+
+  violations.forEach(({ label, kind, size, limit }) => {
+    logger.error(
+      `  ✗ ${label}: ${kind} ${formatSize(size)} exceeds budget of ${formatSize(limit)}`
+    );
+  });
+};
+
+export default function performanceBudget(options = {}) {
+  const {
+    budgetFile = 'performance-budget.json',
+    statsFile = 'bundle-report/budget-stats.json',
+    failOnViolation = true
+  } = options;
+
+  let config;
+
+  return {
+    name: 'performance-budget',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    // Sequential + post so compression plugins have written their files
+    closeBundle: {
+      order: 'post',
+      sequential: true,
+      async handler() {
+        const budget = readJson(path.resolve(config.root, budgetFile));
+        if (!budget) {
+          config.logger.warn(`Performance budget file "${budgetFile}" not found, skipping`);
+          return;
+        }
+
+        const outDir = path.resolve(config.root, config.build.outDir);
+        const ignore = (budget.ignore || []).map(globToRegExp);
+        const files = listFiles(outDir)
+          .filter((file) => !/\.(gz|br)$/.test(file))
+          .filter((file) => !ignore.some((pattern) => pattern.test(file)))
+          .sort()
+          .map((file) => measureFile(outDir, file));
+
+        const statsPath = path.resolve(config.root, statsFile);
+        const previous = readJson(statsPath);
+        const violations = evaluateBudget(files, budget);
+
+        printReport(config.logger, files, previous?.files, violations);
+
+        fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+        fs.writeFileSync(
+          statsPath,
+          JSON.stringify({ createdAt: new Date().toISOString(), files }, null, 2)
+        );
+
+        if (violations.length > 0 && failOnViolation) {
+          throw new Error(`Performance budget exceeded (${violations.length} violation(s))`);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,245 @@
+// Build-time responsive images
+//
+// `import hero from './hero.jpg?responsive'` resizes the image to the srcset
+// widths (src/utils/imageSizes.js), encodes AVIF, WebP and a JPEG or PNG
+// fallback with sharp, and exports what a <picture> needs:
+//
+//   { src, width, height, color, placeholder, srcset, sources: [{ type, srcset }] }
+//
+// Encoded files are cached in node_modules/.cache/responsive-images, keyed by
+// the image bytes and the encoding options, so unchanged images are not
+// re-encoded on the next build. sharp ships prebuilt libvips binaries, so
+// nothing beyond `npm install` is needed.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { SRCSET_WIDTHS } from '../src/utils/imageSizes.js';
+
+const QUERY = 'responsive';
+// Bump when the output for the same input and options changes
+const CACHE_VERSION = 2;
+// Dev server URLs for encoded files
+const DEV_PREFIX = '/@responsive-image/';
+
+const FORMATS = {
+  avif: { ext: 'avif', type: 'image/avif' },
+  webp: { ext: 'webp', type: 'image/webp' },
+  jpeg: { ext: 'jpg', type: 'image/jpeg' },
+  png: { ext: 'png', type: 'image/png' }
+};
+
+// Inputs sharp can read, and the format their fallback is encoded in: one
+// every browser can show, so WebP and AVIF inputs fall back to JPEG
+const INPUT_FORMATS = {
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.webp': 'jpeg',
+  '.avif': 'jpeg',
+  '.tif': 'jpeg',
+  '.tiff': 'jpeg'
+};
+
+const DEFAULT_OPTIONS = {
+  widths: SRCSET_WIDTHS,
+  // Modern formats, in order of preference; the original format is always added
+  formats: ['avif', 'webp'],
+  quality: { avif: 50, webp: 75, jpeg: 80, png: 80 },
+  // Width of the inline placeholder image
+  placeholderWidth: 16,
+  cacheDir: 'node_modules/.cache/responsive-images'
+};
+
+const parseId = (id) => {
+  const [file, query = ''] = id.split('?');
+  return { file, responsive: new URLSearchParams(query).has(QUERY) };
+};
+
+const hash = (...parts) => {
+  const digest = createHash('sha256');
+  parts.forEach(part => digest.update(part));
+  return digest.digest('hex');
+};
+
+// Never upscale: widths above the original are replaced by the original width
+export const getTargetWidths = (widths, intrinsicWidth) => {
+  const targets = widths.filter(width => width <= intrinsicWidth);
+  if (intrinsicWidth < Math.max(...widths) && !targets.includes(intrinsicWidth)) {
+    targets.push(intrinsicWidth);
+  }
+  return targets;
+};
+
+const encode = (sharp, input, format, width, quality) => {
+  // rotate() applies EXIF orientation before resizing
+  const pipeline = sharp(input).rotate().resize({ width, withoutEnlargement: true });
+  switch (format) {
+    case 'avif':
+      return pipeline.avif({ quality }).toBuffer();
+    case 'webp':
+      return pipeline.webp({ quality }).toBuffer();
+    case 'png':
+      return pipeline.png({ compressionLevel: 9 }).toBuffer();
+    default:
+      return pipeline.jpeg({ quality, mozjpeg: true }).toBuffer();
+  }
+};
+
+const toHex = ({ r, g, b }) =>
+  `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+// Encode every variant of `file`, or reuse the cached ones. Resolves to
+// { width, height, color, placeholder, fallback, variants: [{ format, width, file }], key, cacheDir }
+const processImage = async (file, options, cacheRoot) => {
+  const input = fs.readFileSync(file);
+  const key = hash(
+    String(CACHE_VERSION),
+    input,
+    JSON.stringify([options.widths, options.formats, options.quality, options.placeholderWidth])
+  );
+  const cacheDir = path.join(cacheRoot, key.slice(0, 2), key);
+  const metaFile = path.join(cacheDir, 'meta.json');
+
+  if (fs.existsSync(metaFile)) {
+    const meta = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+    const complete = meta.variants.every(variant => fs.existsSync(path.join(cacheDir, variant.file)));
+    if (complete) return { ...meta, key, cacheDir };
+  }
+
+  // Loaded on first use, so builds without responsive images don't need it
+  const { default: sharp } = await import('sharp');
+
+  const metadata = await sharp(input).metadata();
+  // EXIF orientations 5-8 swap width and height
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const { dominant } = await sharp(input).stats();
+  const placeholder = await sharp(input)
+    .rotate()
+    .resize({ width: options.placeholderWidth })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  // PNG instead of JPEG when there is transparency to keep
+  const inputFallback = INPUT_FORMATS[path.extname(file).toLowerCase()];
+  const fallback = inputFallback === 'jpeg' && metadata.hasAlpha ? 'png' : inputFallback;
+  const formats = [...new Set([...options.formats, fallback])];
+  const variants = [];
+
+  fs.mkdirSync(cacheDir, { recursive: true });
+  // One at a time: libvips already uses every core for each encode
+  for (const format of formats) {
+    for (const targetWidth of getTargetWidths(options.widths, width)) {
+      const variantFile = `${targetWidth}.${FORMATS[format].ext}`;
+      const output = await encode(sharp, input, format, targetWidth, options.quality[format]);
+      fs.writeFileSync(path.join(cacheDir, variantFile), output);
+      variants.push({ format, width: targetWidth, file: variantFile });
+    }
+  }
+
+  const meta = {
+    width,
+    height,
+    color: toHex(dominant),
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    fallback,
+    variants
+  };
+  // Written last: a meta file means the variants are complete
+  fs.writeFileSync(metaFile, JSON.stringify(meta));
+  return { ...meta, key, cacheDir };
+};
+
+const toSrcSet = (variants, getUrl) =>
+  variants.map(variant => `${getUrl(variant)} ${variant.width}w`).join(', ');
+
+export default function responsiveImages(userOptions = {}) {
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...userOptions,
+    quality: { ...DEFAULT_OPTIONS.quality, ...userOptions.quality }
+  };
+
+  let config;
+  let cacheRoot;
+  // Dev server: URL path -> { file, type }
+  const served = new Map();
+
+  return {
+    name: 'responsive-images',
+    enforce: 'pre',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+      cacheRoot = path.resolve(config.root, options.cacheDir);
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const entry = served.get(req.url.split('?')[0]);
+        if (!entry) return next();
+
+        res.setHeader('Content-Type', entry.type);
+        res.setHeader('Cache-Control', 'no-cache');
+        fs.createReadStream(entry.file).pipe(res);
+      });
+    },
+
+    async load(id) {
+      const { file, responsive } = parseId(id);
+      if (!responsive) return null;
+
+      const extension = path.extname(file).toLowerCase();
+      if (!INPUT_FORMATS[extension]) {
+        this.error(`?${QUERY} does not support "${extension}" images (${file})`);
+      }
+
+      const image = await processImage(file, options, cacheRoot);
+      const name = path.basename(file, path.extname(file));
+      const isBuild = config.command === 'build';
+
+      // Hashed names so the files can be cached forever
+      const toUrl = (variant) => {
+        const { ext, type } = FORMATS[variant.format];
+        const fileName = `${name}-${variant.width}w-${image.key.slice(0, 8)}.${ext}`;
+        const source = path.join(image.cacheDir, variant.file);
+
+        if (isBuild) {
+          const outputPath = path.posix.join(config.build.assetsDir, 'images', fileName);
+          this.emitFile({ type: 'asset', fileName: outputPath, source: fs.readFileSync(source) });
+          return `${config.base}${outputPath}`;
+        }
+
+        const url = `${DEV_PREFIX}${fileName}`;
+        served.set(url, { file: source, type });
+        return `${config.base.replace(/\/$/, '')}${url}`;
+      };
+      const urls = new Map(image.variants.map(variant => [variant, toUrl(variant)]));
+      const getUrl = variant => urls.get(variant);
+
+      const byFormat = format => image.variants.filter(variant => variant.format === format);
+      const fallbackVariants = byFormat(image.fallback);
+      const largest = fallbackVariants[fallbackVariants.length - 1];
+      const sources = options.formats
+        .filter(format => format !== image.fallback)
+        .map(format => ({ type: FORMATS[format].type, srcset: toSrcSet(byFormat(format), getUrl) }));
+
+      const data = {
+        src: getUrl(largest),
+        width: image.width,
+        height: image.height,
+        color: image.color,
+        placeholder: image.placeholder,
+        srcset: toSrcSet(fallbackVariants, getUrl),
+        sources,
+        widths: fallbackVariants.map(variant => variant.width),
+        type: FORMATS[largest.format].type
+      };
+
+      return `export default ${JSON.stringify(data)};`;
+    }
+  };
+}
@@ -1,83 +1,54 @@
-import React, { lazy, Suspense } from 'react';
+import React, { Suspense } from 'react';
 import { ErrorBoundary } from './components/ErrorBoundary';
 import { LoadingSpinner } from './components/LoadingSpinner';
+import { UpdateBanner } from './components/UpdateBanner';
+import { DevOverlayLoader } from './components/DevOverlayLoader';
+import { Router, Outlet } from './components/Router';
+import { CachedFetchProvider } from './hooks/cachedFetchContext';
+import { CacheStrategy } from './utils/cacheConfig';
+import { lazyWithRetry } from './utils/lazyWithRetry';
+import { routes } from './routes';
 
-// Lazy load components for code splitting
-const Header = lazy(() => import('./components/Header'));
-const Dashboard = lazy(() => import('./components/Dashboard'));
-const Analytics = lazy(() => import('./components/Analytics'));
+// Lazy load components for code splitting; routes are split in routes.js.
+// Failed chunk loads are retried, and reload the page after a deploy.
+const Header = lazyWithRetry(() => import('./components/Header'), { name: 'Header' });
 
-// Preload critical components
-const preloadComponent = (component) => {
-  if ('requestIdleCallback' in window) {
-    requestIdleCallback(() => component());
-  } else {
-    setTimeout(() => component(), 1);
-  }
+// Defaults for every useCachedFetch call in the app
+const fetchDefaults = {
+  strategy: CacheStrategy.STALE_WHILE_REVALIDATE,
+  ttl: 300000
 };
 
-// Preload components that are likely to be used
-preloadComponent(() => import('./components/Dashboard'));
-
 function App() {
-  const [showAnalytics, setShowAnalytics] = React.useState(false);
-  
-  // Use intersection observer for lazy loading below-the-fold content
-  React.useEffect(() => {
-    const options = {
-      root: null,
-      rootMargin: '50px',
-      threshold: 0.01
-    };
-    
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          // Load component when it's about to come into view
-          const lazyElement = entry.target;
-          lazyElement.classList.add('loaded');
-        }
-      });
-    }, options);
-    
-    // Observe all lazy-load elements
-    document.querySelectorAll('.lazy-load').forEach(el => {
-      observer.observe(el);
-    });
-    
-    return () => observer.disconnect();
-  }, []);
-  
   return (
-    <ErrorBoundary>
-      <div className="app">
-        <Suspense fallback={<LoadingSpinner />}>
-          <Header />
-        </Suspense>
-        
-        <main className="main-content">
-          <Suspense fallback={<LoadingSpinner />}>
-            <Dashboard />
-          </Suspense>
-          
-          <div className="analytics-section lazy-load">
-            <button 
-              onClick={() => setShowAnalytics(!showAnalytics)}
-              className="analytics-toggle"
-            >
-              {showAnalytics ? 'Hide' : 'Show'} Analytics
-            </button>
+    <ErrorBoundary scope="app">
+      <CachedFetchProvider options={fetchDefaults}>
+        <Router routes={routes}>
+          <div className="app">
+            <ErrorBoundary scope="update-banner" fallback={null}>
+              <UpdateBanner />
+            </ErrorBoundary>
             
-            {showAnalytics && (
+            {/* Each section fails on its own; routes get their boundaries from the Router.
+                The default fallback offers a reload or retry when the Header chunk fails. */}
+            <ErrorBoundary scope="header">
               <Suspense fallback={<LoadingSpinner />}>
-                <Analytics />
+                <Header />
               </Suspense>
-            )}
+            </ErrorBoundary>
+          
+            <main className="main-content">
+              <Outlet />
+            </main>
+
+            <ErrorBoundary scope="dev-overlay" fallback={null}>
+              <DevOverlayLoader />
+            </ErrorBoundary>
           </div>
-        </main>
-      </div>
+        </Router>
+      </CachedFetchProvider>
     </ErrorBoundary>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,26 +1,60 @@
 import React from 'react';
+import { Link } from './Router';
+import { useParams } from '../hooks/useRouter';
+import { withProfiler } from '../utils/componentProfiler';
+
+const RANGES = {
+  monthly: {
+    labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May'],
+    values: [65, 59, 80, 81, 56]
+  },
+  weekly: {
+    labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+    values: [42, 70, 55, 90, 63]
+  }
+};
 
 const Analytics = () => {
+  const { range = 'monthly' } = useParams();
   const [chartData, setChartData] = React.useState(null);
   
   React.useEffect(() => {
+    let cancelled = false;
+    setChartData(null);
+    
     // Simulate loading heavy analytics library
     const loadChartLibrary = async () => {
       // In real app, this would load a chart library like Chart.js
       await new Promise(resolve => setTimeout(resolve, 500));
       
-      setChartData({
-        labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May'],
-        values: [65, 59, 80, 81, 56]
-      });
+      if (!cancelled) setChartData(RANGES[range] || null);
     };
     
     loadChartLibrary();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [range]);
+  
+  if (!RANGES[range]) {
+    return (
+      <div className="analytics" id="analytics">
+        <h2>Analytics</h2>
+        <p>Unknown range "{range}". <Link to="/analytics">Show monthly data</Link></p>
+      </div>
+    );
+  }
   
   return (
     <div className="analytics" id="analytics">
       <h2>Analytics</h2>
+      <nav className="analytics-ranges">
+        {Object.keys(RANGES).map(name => (
+          <Link key={name} to={name === 'monthly' ? '/analytics' : `/analytics/${name}`}>
+            {name}
+          </Link>
+        ))}
+      </nav>
       {chartData ? (
         <div className="chart-container">
           <h3>Performance Over Time</h3>
@@ -43,4 +77,4 @@ const Analytics = () => {
   );
 };
 
-export default Analytics;
\ No newline at end of file
+export default withProfiler(Analytics, 'Analytics');
\ No newline at end of file
@@ -1,29 +1,53 @@
-import React, { useMemo, useCallback } from 'react';
-import { usePerformanceMonitor } from '../hooks/usePerformanceMonitor';
+import React, { useCallback, useState } from 'react';
+import { usePerformanceMonitor, selectVitals } from '../hooks/usePerformanceMonitor';
+import { useCachedFetch } from '../hooks/useCachedFetch';
+import { METRIC_THRESHOLDS, getRating } from '../utils/performanceMonitor';
+import { RESOURCE_TYPES } from '../utils/resourceTiming';
+import { withProfiler } from '../utils/componentProfiler';
+import { useWorker } from '../hooks/useWorker';
+import { usePrefetchOnVisible } from '../hooks/usePrefetchOnVisible';
+import { prefetchData } from '../utils/cacheManager';
+import { dataProcessor } from '../workers/dataProcessor';
+
+const TRACKED_METRICS = Object.keys(METRIC_THRESHOLDS);
+
+const formatMetric = (name, value) => (name === 'CLS' ? value.toFixed(3) : `${value}ms`);
+
+const formatBytes = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+const selectResources = snapshot => snapshot.resources;
+
+const selectRoutes = snapshot => snapshot.routes;
+
+// Sample data set, served from public/
+const DATA_URL = '/data/items.json';
+const DATA_TAGS = ['dashboard'];
+const NO_ITEMS = [];
 
 const Dashboard = () => {
-  const [data, setData] = React.useState([]);
-  const performanceMetrics = usePerformanceMonitor();
+  // Fetched on the first click; kept for later visits and reloads
+  const [requested, setRequested] = useState(false);
+  const items = useCachedFetch(DATA_URL, { enabled: requested, persist: true, tags: DATA_TAGS });
+  const data = items.data?.items || NO_ITEMS;
+  const vitals = usePerformanceMonitor(selectVitals);
+  const resources = usePerformanceMonitor(selectResources);
+  const routes = usePerformanceMonitor(selectRoutes);
   
-  // Memoize expensive calculations
-  const processedData = useMemo(() => {
-    return data.map(item => ({
-      ...item,
-      processed: true,
-      timestamp: Date.now()
-    }));
-  }, [data]);
+  // Processed in a worker (workers/dataProcessor.worker.js) off the main thread
+  const processed = useWorker(dataProcessor, 'processItems', [data], {
+    enabled: data.length > 0
+  });
+  const processedData = processed.data?.items || [];
+  const stats = processed.data?.stats;
   
-  // Use callback to prevent unnecessary re-renders
+  // Warm the cache once the button scrolls into view, so the click is answered from it
+  const prefetchRef = usePrefetchOnVisible(options => prefetchData(DATA_URL, { ...options, tags: DATA_TAGS }));
+
+  const { refetch } = items;
   const handleLoadData = useCallback(() => {
-    // Simulate data loading
-    const newData = Array.from({ length: 10 }, (_, i) => ({
-      id: i,
-      value: Math.random() * 100,
-      label: `Item ${i + 1}`
-    }));
-    setData(newData);
-  }, []);
+    if (requested) refetch();
+    else setRequested(true);
+  }, [requested, refetch]);
   
   return (
     <div className="dashboard" id="dashboard">
@@ -32,16 +56,113 @@ const Dashboard = () => {
       <div className="metrics">
         <h3>Performance Metrics</h3>
         <ul>
-          <li>FCP: {performanceMetrics.fcp}ms</li>
-          <li>LCP: {performanceMetrics.lcp}ms</li>
-          <li>TTI: {performanceMetrics.tti}ms</li>
+          {TRACKED_METRICS.map(name => {
+            const vital = vitals[name];
+            return (
+              <li key={name} className={`metric metric-${vital?.rating || 'pending'}`}>
+                {name}: {vital ? formatMetric(name, vital.value) : '—'}
+                {vital?.rating && <span className="metric-rating"> ({vital.rating})</span>}
+              </li>
+            );
+          })}
         </ul>
       </div>
       
-      <button onClick={handleLoadData} className="load-data-btn">
+      <div className="metrics resource-breakdown">
+        <h3>Resources</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Requests</th>
+              <th>Transferred</th>
+              <th>Encoded</th>
+              <th>Decoded</th>
+              <th>Cached</th>
+            </tr>
+          </thead>
+          <tbody>
+            {RESOURCE_TYPES.filter(type => resources.byType[type].count > 0).map(type => {
+              const totals = resources.byType[type];
+              return (
+                <tr key={type}>
+                  <td>{type}</td>
+                  <td>{totals.count}</td>
+                  <td>{formatBytes(totals.transferSize)}</td>
+                  <td>{formatBytes(totals.encodedBodySize)}</td>
+                  <td>{formatBytes(totals.decodedBodySize)}</td>
+                  <td>{totals.cached}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>total</td>
+              <td>{resources.total.count}</td>
+              <td>{formatBytes(resources.total.transferSize)}</td>
+              <td>{formatBytes(resources.total.encodedBodySize)}</td>
+              <td>{formatBytes(resources.total.decodedBodySize)}</td>
+              <td>{resources.total.cached}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      
+      <div className="metrics route-metrics">
+        <h3>Routes</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Route</th>
+              <th>Views</th>
+              <th>Avg. navigation</th>
+              <th>INP</th>
+              <th>CLS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {routes.map(route => (
+              <tr key={route.name}>
+                <td>{route.name}</td>
+                <td>{route.views}</td>
+                <td>{route.averageNavigation != null ? `${route.averageNavigation}ms` : '—'}</td>
+                <td className={`metric-${getRating('INP', route.inp) || 'pending'}`}>
+                  <span className="metric-rating">
+                    {route.inp != null ? formatMetric('INP', route.inp) : '—'}
+                  </span>
+                </td>
+                <td className={`metric-${getRating('CLS', route.cls)}`}>
+                  <span className="metric-rating">{formatMetric('CLS', route.cls)}</span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      
+      <button
+        ref={requested ? undefined : prefetchRef}
+        onClick={handleLoadData}
+        className="load-data-btn"
+      >
         Load Data
       </button>
       
+      {items.status === 'loading' && <p className="data-status">Loading…</p>}
+      {items.error && (
+        <p className="data-status data-error">Loading failed: {items.error.message}</p>
+      )}
+      {processed.status === 'loading' && <p className="data-status">Processing…</p>}
+      {processed.error && (
+        <p className="data-status data-error">Processing failed: {processed.error.message}</p>
+      )}
+      {stats && (
+        <p className="data-status">
+          {stats.count} items, min {stats.min.toFixed(2)}, mean {stats.mean.toFixed(2)}, max {stats.max.toFixed(2)}
+        </p>
+      )}
+      
       <div className="data-grid">
         {processedData.map(item => (
           <div key={item.id} className="data-item">
@@ -54,4 +175,4 @@ const Dashboard = () => {
   );
 };
 
-export default Dashboard;
\ No newline at end of file
+export default withProfiler(Dashboard, 'Dashboard');
\ No newline at end of file
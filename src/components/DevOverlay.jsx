@@ -0,0 +1,358 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { performanceMonitor, METRIC_THRESHOLDS } from '../utils/performanceMonitor';
+import { usePerformanceMonitor } from '../hooks/usePerformanceMonitor';
+import { memoryCache } from '../utils/cacheManager';
+import { CACHE_EXPIRE_HEADER } from '../utils/cacheConfig';
+import { componentProfiler } from '../utils/componentProfiler';
+import { prefetchScheduler } from '../utils/prefetchScheduler';
+import ProfilerPanel from './ProfilerPanel';
+import '../styles/devOverlay.css';
+
+const TABS = ['Vitals', 'Long tasks', 'Resources', 'Memory', 'Caches', 'Renders'];
+const POLL_INTERVAL = 2000;
+// Reading expiry headers means a match() per entry; stop after this many
+const MAX_CACHE_ENTRIES = 100;
+
+const formatMs = value => (value == null ? '—' : `${Math.round(value)}ms`);
+
+// Expiry timestamps; memoryCache entries without a TTL never expire
+const formatExpiry = (expires) => {
+  if (expires === Infinity) return 'never';
+  return expires ? formatMs(expires - Date.now()) : '—';
+};
+
+const formatBytes = (bytes) => {
+  if (bytes == null) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const formatVital = (name, value) => (name === 'CLS' ? value.toFixed(3) : formatMs(value));
+
+const shortName = (url) => {
+  try {
+    const { pathname, host } = new URL(url);
+    return host === window.location.host ? pathname : `${host}${pathname}`;
+  } catch (e) {
+    return url;
+  }
+};
+
+// Re-run `read` while the tab is open; it may return a promise
+const usePolled = (read, interval = POLL_INTERVAL) => {
+  const [value, setValue] = useState(null);
+
+  const refresh = useCallback(() => {
+    Promise.resolve(read()).then(setValue).catch(error => {
+      console.warn('[DevOverlay] read failed:', error);
+    });
+  }, [read]);
+
+  useEffect(() => {
+    refresh();
+    if (!interval) return undefined;
+    const timer = setInterval(refresh, interval);
+    return () => clearInterval(timer);
+  }, [refresh, interval]);
+
+  return [value, refresh];
+};
+
+const readMemoryUsage = () => performanceMonitor.getMemoryUsage();
+
+const readMemoryCache = () => ({
+  stats: memoryCache.getStats(),
+  entries: memoryCache.entries()
+});
+
+const readCacheStorage = async () => {
+  if (!('caches' in window)) return [];
+
+  const names = await caches.keys();
+  return Promise.all(names.map(async (name) => {
+    const cache = await caches.open(name);
+    const requests = await cache.keys();
+    const entries = await Promise.all(requests.slice(0, MAX_CACHE_ENTRIES).map(async (request) => {
+      const response = await cache.match(request);
+      // An ISO date, written by cacheApiResponse
+      const expires = Date.parse(response && response.headers.get(CACHE_EXPIRE_HEADER));
+      return { url: request.url, expires: Number.isNaN(expires) ? null : expires };
+    }));
+    return { name, count: requests.length, entries };
+  }));
+};
+
+// Everything the overlay shows, as plain JSON
+const collectReport = async () => {
+  const snapshot = performanceMonitor.getSnapshot();
+  return {
+    exportedAt: new Date().toISOString(),
+    url: window.location.href,
+    userAgent: navigator.userAgent,
+    network: performanceMonitor.getNetworkInfo(),
+    vitals: snapshot.vitals,
+    longTasks: snapshot.longTasks,
+    longFrames: snapshot.longFrames,
+    longTaskOffenders: snapshot.longTaskOffenders,
+    resources: snapshot.resources,
+    currentRoute: snapshot.currentRoute,
+    routes: snapshot.routes,
+    memory: performanceMonitor.getMemoryUsage(),
+    memoryCache: readMemoryCache(),
+    cacheStorage: await readCacheStorage(),
+    prefetch: prefetchScheduler.getStats(),
+    components: componentProfiler.getResults()
+  };
+};
+
+const exportReport = async () => {
+  const report = await collectReport();
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `performance-${Date.now()}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const VitalsTab = () => {
+  const vitals = usePerformanceMonitor(snapshot => snapshot.vitals);
+
+  return (
+    <table>
+      <thead>
+        <tr><th>Metric</th><th>Value</th><th>Good</th><th>Poor</th></tr>
+      </thead>
+      <tbody>
+        {Object.keys(METRIC_THRESHOLDS).map((name) => {
+          const vital = vitals[name];
+          const [good, poor] = METRIC_THRESHOLDS[name];
+          return (
+            <tr key={name}>
+              <td>{name}</td>
+              <td className={vital ? `dev-overlay-${vital.rating}` : undefined}>
+                {vital ? formatVital(name, vital.value) : '—'}
+              </td>
+              <td>≤ {formatVital(name, good)}</td>
+              <td>&gt; {formatVital(name, poor)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+// Bars positioned on a shared time axis from 0 to the latest end time
+const Timeline = ({ items, label }) => {
+  const end = Math.max(1, ...items.map(item => item.startTime + item.duration));
+
+  return (
+    <div className="dev-overlay-timeline">
+      {items.map((item, index) => (
+        <div key={index} className="dev-overlay-row">
+          <span className="dev-overlay-label" title={label(item)}>{label(item)}</span>
+          <span className="dev-overlay-track">
+            <span
+              className="dev-overlay-bar"
+              style={{
+                left: `${(item.startTime / end) * 100}%`,
+                width: `${Math.max(0.5, (item.duration / end) * 100)}%`
+              }}
+            />
+          </span>
+          <span className="dev-overlay-duration">{formatMs(item.duration)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const describeTask = (task) => {
+  const context = [task.route, task.interaction && `${task.interaction.type} ${task.interaction.target || ''}`]
+    .filter(Boolean)
+    .join(' · ');
+  return `${formatMs(task.startTime)} ${context}`;
+};
+
+const LongTasksTab = () => {
+  const longTasks = usePerformanceMonitor(snapshot => snapshot.longTasks);
+  const longFrames = usePerformanceMonitor(snapshot => snapshot.longFrames);
+  const offenders = usePerformanceMonitor(snapshot => snapshot.longTaskOffenders);
+
+  if (longTasks.length === 0 && longFrames.length === 0) {
+    return <p className="dev-overlay-empty">No long tasks yet.</p>;
+  }
+
+  const blocking = longTasks.reduce((total, task) => total + Math.max(0, task.duration - 50), 0);
+  return (
+    <>
+      <p>{longTasks.length} tasks, {formatMs(blocking)} blocking</p>
+      <Timeline items={longTasks} label={describeTask} />
+
+      {longFrames.length > 0 && (
+        <>
+          <h4>Long animation frames</h4>
+          <Timeline items={longFrames} label={describeTask} />
+        </>
+      )}
+
+      <h4>Top offenders</h4>
+      <table>
+        <thead>
+          <tr><th>Source</th><th>Invoker</th><th>Count</th><th>Total</th><th>Max</th><th>Interactions</th><th>Routes</th></tr>
+        </thead>
+        <tbody>
+          {offenders.slice(0, 10).map(offender => (
+            <tr key={offender.key}>
+              <td title={offender.key}>
+                {offender.sourceURL ? `${shortName(offender.sourceURL)} ${offender.functionName || ''}` : offender.key}
+              </td>
+              <td>{offender.invoker || '—'}</td>
+              <td>{offender.count}</td>
+              <td>{formatMs(offender.totalDuration)}</td>
+              <td>{formatMs(offender.maxDuration)}</td>
+              <td>{offender.interactions}</td>
+              <td>{offender.routes.join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+};
+
+const ResourcesTab = () => {
+  const resources = usePerformanceMonitor(snapshot => snapshot.resources);
+
+  if (!resources || resources.entries.length === 0) {
+    return <p className="dev-overlay-empty">No resource timings yet.</p>;
+  }
+
+  return (
+    <>
+      <p>
+        {resources.total.count} resources, {formatBytes(resources.total.transferSize)} transferred,
+        {' '}{resources.total.cached} from cache
+      </p>
+      <Timeline
+        items={resources.entries}
+        label={entry => `${entry.type} ${entry.cacheStatus} ${shortName(entry.name)}`}
+      />
+    </>
+  );
+};
+
+const MemoryTab = () => {
+  const [memory] = usePolled(readMemoryUsage);
+
+  if (!memory) {
+    return <p className="dev-overlay-empty">performance.memory is not available in this browser.</p>;
+  }
+
+  return (
+    <table>
+      <tbody>
+        <tr><td>Used JS heap</td><td>{formatBytes(memory.usedJSHeapSize)}</td></tr>
+        <tr><td>Total JS heap</td><td>{formatBytes(memory.totalJSHeapSize)}</td></tr>
+        <tr><td>Heap limit</td><td>{formatBytes(memory.jsHeapSizeLimit)}</td></tr>
+      </tbody>
+    </table>
+  );
+};
+
+const CachesTab = () => {
+  const [memory] = usePolled(readMemoryCache);
+  const [storage, refreshStorage] = usePolled(readCacheStorage, 0);
+
+  return (
+    <>
+      <h4>Memory cache</h4>
+      {memory && (
+        <>
+          <p>
+            {memory.stats.size} entries, {formatBytes(memory.stats.bytes)},
+            hit rate {(memory.stats.hitRate * 100).toFixed(0)}%
+          </p>
+          <table>
+            <thead>
+              <tr><th>Key</th><th>Size</th><th>Tags</th><th>Expires in</th></tr>
+            </thead>
+            <tbody>
+              {memory.entries.map(entry => (
+                <tr key={entry.key}>
+                  <td title={entry.key}>{shortName(entry.key)}</td>
+                  <td>{formatBytes(entry.size)}</td>
+                  <td>{entry.tags.join(', ')}</td>
+                  <td>{formatExpiry(entry.expires)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <h4>
+        Cache Storage <button onClick={refreshStorage}>Refresh</button>
+      </h4>
+      {storage && storage.length === 0 && <p className="dev-overlay-empty">No caches.</p>}
+      {storage && storage.map(cache => (
+        <details key={cache.name}>
+          <summary>{cache.name} ({cache.count})</summary>
+          <ul>
+            {cache.entries.map(entry => (
+              <li key={entry.url} title={entry.url}>
+                {shortName(entry.url)}
+                {entry.expires && ` — expires in ${formatExpiry(entry.expires)}`}
+              </li>
+            ))}
+            {cache.count > cache.entries.length && <li>…</li>}
+          </ul>
+        </details>
+      ))}
+    </>
+  );
+};
+
+const TAB_CONTENT = {
+  Vitals: VitalsTab,
+  'Long tasks': LongTasksTab,
+  Resources: ResourcesTab,
+  Memory: MemoryTab,
+  Caches: CachesTab,
+  Renders: ProfilerPanel
+};
+
+// Loaded on demand by DevOverlayLoader, so none of this is in the main bundle
+const DevOverlay = ({ onClose }) => {
+  const [tab, setTab] = useState(TABS[0]);
+  const Content = TAB_CONTENT[tab];
+
+  return (
+    <aside className="dev-overlay" aria-label="Performance overlay">
+      <header className="dev-overlay-header">
+        <nav role="tablist">
+          {TABS.map(name => (
+            <button
+              key={name}
+              role="tab"
+              aria-selected={name === tab}
+              onClick={() => setTab(name)}
+            >
+              {name}
+            </button>
+          ))}
+        </nav>
+        <button onClick={exportReport}>Export JSON</button>
+        <button onClick={onClose} aria-label="Close performance overlay">×</button>
+      </header>
+      <div className="dev-overlay-body" role="tabpanel">
+        <Content />
+      </div>
+    </aside>
+  );
+};
+
+export default DevOverlay;
@@ -0,0 +1,51 @@
+import React, { Suspense, useEffect, useState } from 'react';
+import { lazyWithRetry } from '../utils/lazyWithRetry';
+
+// The overlay and its styles are a separate chunk, loaded on first open
+const DevOverlay = lazyWithRetry(() => import('./DevOverlay'), { name: 'DevOverlay' });
+
+const QUERY_FLAG = 'perf-overlay';
+const STORAGE_KEY = 'jibril-perf-overlay';
+
+const hasQueryFlag = () => new URLSearchParams(window.location.search).has(QUERY_FLAG);
+
+// Always available in development; production needs ?perf-overlay once per tab
+const isOverlayAllowed = () => {
+  if (import.meta.env.DEV) return true;
+
+  try {
+    if (hasQueryFlag()) sessionStorage.setItem(STORAGE_KEY, 'true');
+    return sessionStorage.getItem(STORAGE_KEY) === 'true';
+  } catch (e) {
+    return hasQueryFlag();
+  }
+};
+
+// Alt+Shift+P
+const isToggleShortcut = event => event.altKey && event.shiftKey && event.code === 'KeyP';
+
+export const DevOverlayLoader = () => {
+  const [allowed] = useState(isOverlayAllowed);
+  const [open, setOpen] = useState(() => allowed && hasQueryFlag());
+
+  useEffect(() => {
+    if (!allowed) return;
+
+    const handleKeyDown = (event) => {
+      if (!isToggleShortcut(event)) return;
+      event.preventDefault();
+      setOpen(value => !value);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [allowed]);
+
+  if (!open) return null;
+
+  return (
+    <Suspense fallback={null}>
+      <DevOverlay onClose={() => setOpen(false)} />
+    </Suspense>
+  );
+};
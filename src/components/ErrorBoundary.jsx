@@ -1,35 +1,123 @@
+// Catches render errors below it, reports them (utils/errorReporter.js) and
+// shows a fallback in place of its children, so one failing section doesn't
+// blank the page.
+//
+//   <ErrorBoundary
+//     scope="dashboard"
+//     resetKeys={[range]}
+//     onReset={() => refetch()}
+//     fallback={({ error, reset }) => <Retry message={error.message} onRetry={reset} />}
+//   >
+//
+// fallback is an element or a render function. The children are rendered again
+// when reset() is called or when a value in resetKeys changes, and suspended
+// useCachedFetch requests that failed are made again. Failed lazy
+// chunks (utils/lazyWithRetry.js) get their own message instead of the generic
+// one: reload for a stale deploy, retry for a network problem.
 import React from 'react';
+import { errorReporter } from '../utils/errorReporter';
+import { isChunkLoadError, retryFailedChunks } from '../utils/lazyWithRetry';
+import { retryFailedRequests } from '../hooks/cachedFetchContext';
+
+const keysChanged = (previous = [], next = []) =>
+  previous.length !== next.length || previous.some((key, index) => !Object.is(key, next[index]));
+
+const initialState = { hasError: false, error: null };
 
 export class ErrorBoundary extends React.Component {
   constructor(props) {
     super(props);
-    this.state = { hasError: false };
+    this.state = initialState;
+    this.reset = this.reset.bind(this);
   }
 
   static getDerivedStateFromError(error) {
-    return { hasError: true };
+    return { hasError: true, error };
   }
 
   componentDidCatch(error, errorInfo) {
-    // Log error to monitoring service in production
-    if (process.env.NODE_ENV === 'production') {
-      console.error('Error caught by boundary:', error, errorInfo);
-      // Send to monitoring service
+    const { scope, onError } = this.props;
+    errorReporter.captureException(error, {
+      source: 'boundary',
+      scope,
+      componentStack: errorInfo.componentStack
+    });
+    if (onError) onError(error, errorInfo);
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    // Only keys that change while the fallback is showing: the update that
+    // threw may have changed them too
+    if (
+      this.state.hasError &&
+      prevState.hasError &&
+      keysChanged(prevProps.resetKeys, this.props.resetKeys)
+    ) {
+      this.reset({ reason: 'keys', previousKeys: prevProps.resetKeys, keys: this.props.resetKeys });
     }
   }
 
-  render() {
-    if (this.state.hasError) {
+  // Navigating away from the fallback: the next visit loads afresh
+  componentWillUnmount() {
+    if (this.state.hasError) retryFailedRequests(this.state.error);
+  }
+
+  // details: { reason: 'reset' } from the fallback, { reason: 'keys', ... } from resetKeys
+  reset(details = { reason: 'reset' }) {
+    if (isChunkLoadError(this.state.error)) retryFailedChunks();
+    retryFailedRequests(this.state.error);
+    if (this.props.onReset) this.props.onReset(details);
+    this.setState(initialState);
+  }
+
+  renderChunkError() {
+    // Retries are done: the chunk is gone from the server, and the automatic
+    // reload already happened or was skipped to avoid a loop
+    if (this.state.error.staleDeployment) {
       return (
-        <div className="error-fallback">
-          <h2>Something went wrong</h2>
-          <button onClick={() => this.setState({ hasError: false })}>
-            Try again
+        <div className="error-fallback" role="alert">
+          <h2>A new version is available</h2>
+          <p>The app was updated while this page was open.</p>
+          <button onClick={() => window.location.reload()}>
+            Reload
           </button>
         </div>
       );
     }
 
-    return this.props.children;
+    return (
+      <div className="error-fallback" role="alert">
+        <h2>This part of the app couldn't be loaded</h2>
+        <p>
+          {navigator.onLine === false
+            ? "You're offline. Reconnect and try again."
+            : 'Check your connection and try again.'}
+        </p>
+        <button onClick={() => this.reset()}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  render() {
+    if (!this.state.hasError) return this.props.children;
+
+    const { fallback, scope } = this.props;
+    const { error } = this.state;
+    if (typeof fallback === 'function') {
+      return fallback({ error, reset: this.reset, scope, chunkLoadError: isChunkLoadError(error) });
+    }
+    if (fallback !== undefined) return fallback;
+    if (isChunkLoadError(error)) return this.renderChunkError();
+
+    return (
+      <div className="error-fallback" role="alert">
+        <h2>Something went wrong</h2>
+        <button onClick={() => this.reset()}>
+          Try again
+        </button>
+      </div>
+    );
   }
-}
\ No newline at end of file
+}
@@ -1,15 +1,51 @@
-import React from 'react';
+import React, { useContext } from 'react';
+import { Link, RouterContext } from './Router';
+import { usePrefetchOnVisible } from '../hooks/usePrefetchOnVisible';
+import { prefetchRoute } from '../utils/router';
+import { useNetworkStatus, useOutbox } from '../hooks/useNetworkStatus';
+import { withProfiler } from '../utils/componentProfiler';
+
+const OfflineIndicator = () => {
+  const { online } = useNetworkStatus();
+  const { pending, replaying } = useOutbox();
+
+  if (online && pending === 0) return null;
+
+  const changes = `${pending} ${pending === 1 ? 'change' : 'changes'}`;
+  let label = 'Offline';
+  if (!online && pending > 0) label = `Offline · ${changes} pending`;
+  if (online) label = replaying ? `Syncing ${changes}…` : `${changes} waiting to sync`;
+
+  return (
+    <span className={`network-status ${online ? 'network-status-syncing' : 'network-status-offline'}`} role="status">
+      {label}
+    </span>
+  );
+};
+
+const NAV_LINKS = [
+  { to: '/', label: 'Dashboard' },
+  { to: '/analytics', label: 'Analytics' }
+];
 
 const Header = () => {
+  const { routes } = useContext(RouterContext);
+  // Both routes are a click away on every page: load their chunks in idle time
+  const navRef = usePrefetchOnVisible(options =>
+    Promise.all(NAV_LINKS.map(({ to }) => prefetchRoute(routes, to, options)))
+  );
+
   return (
     <header className="header">
       <h1>Jibril Performance App</h1>
-      <nav>
-        <a href="#dashboard">Dashboard</a>
-        <a href="#analytics">Analytics</a>
+      <OfflineIndicator />
+      <nav ref={navRef}>
+        {NAV_LINKS.map(({ to, label }) => (
+          <Link key={to} to={to}>{label}</Link>
+        ))}
       </nav>
     </header>
   );
 };
 
-export default Header;
\ No newline at end of file
+export default withProfiler(Header, 'Header');
\ No newline at end of file
@@ -0,0 +1,17 @@
+import React from 'react';
+import { Link } from './Router';
+import { useLocation } from '../hooks/useRouter';
+
+const NotFound = () => {
+  const { pathname } = useLocation();
+
+  return (
+    <div className="not-found">
+      <h2>Page not found</h2>
+      <p>Nothing lives at <code>{pathname}</code>.</p>
+      <Link to="/">Back to the dashboard</Link>
+    </div>
+  );
+};
+
+export default NotFound;
@@ -0,0 +1,166 @@
+// <picture> with CDN or build-time sources, reserved space, a placeholder and
+// lazy loading through the shared observer in utils/imageOptimizer.js
+//
+// src is an image URL (sources come from the image CDN adapter) or the object
+// from a `?responsive` import, which also provides the intrinsic size, the
+// dominant color and a blurred preview.
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { createPictureElement, observeImage, preloadImage } from '../utils/imageOptimizer';
+import { performanceMonitor } from '../utils/performanceMonitor';
+
+const getImageData = (src, alt, sizes, options) => {
+  if (src && typeof src === 'object') {
+    return {
+      sources: src.sources || [],
+      img: { src: src.src, srcset: src.srcset },
+      width: src.width,
+      height: src.height,
+      color: src.color,
+      placeholder: src.placeholder
+    };
+  }
+  return createPictureElement(src, alt, sizes, options);
+};
+
+// Missing dimensions are derived from the other one and the intrinsic ratio
+const getDimensions = (width, height, data) => {
+  if (width && height) return [width, height];
+  if (!data.width || !data.height) return [width, height];
+  if (width) return [width, Math.round((width * data.height) / data.width)];
+  if (height) return [Math.round((height * data.width) / data.height), height];
+  return [data.width, data.height];
+};
+
+export const OptimizedImage = ({
+  src,
+  alt,
+  width,
+  height,
+  aspectRatio,
+  sizes = '100vw',
+  // LCP images: loaded eagerly at high priority and preloaded
+  priority = false,
+  // 'blur' (needs a `?responsive` image), 'color' or 'none'
+  placeholder = 'blur',
+  color,
+  widths,
+  quality,
+  format,
+  fit,
+  crop,
+  className,
+  style,
+  onLoad,
+  onError,
+  ...rest
+}) => {
+  const data = useMemo(
+    () => getImageData(src, alt, sizes, { widths, quality, format, fit, crop }),
+    // widths is often an inline array, so compare its values
+    [src, alt, sizes, widths && widths.join(), quality, format, fit, crop]
+  );
+  const [imageWidth, imageHeight] = getDimensions(width, height, data);
+  const ratio = aspectRatio || (imageWidth && imageHeight ? `${imageWidth} / ${imageHeight}` : undefined);
+
+  const wrapperRef = useRef(null);
+  // Load timing starts when the image is requested: on mount for priority
+  // images, when it comes near the viewport otherwise
+  const startRef = useRef(null);
+  const [visible, setVisible] = useState(priority);
+  // Outcome for the current src; a new src starts loading again
+  const [result, setResult] = useState({ src: null, status: 'loading' });
+  const status = result.src === data.img.src ? result.status : 'loading';
+
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'development') return;
+    if (!ratio) {
+      console.warn(`OptimizedImage: ${data.img.src} has no width/height or aspectRatio and will shift layout when it loads`);
+    }
+    if (!data.img.srcset && data.sources.length === 0) {
+      // The local adapter can't resize, so every viewport gets the original
+      console.warn(`OptimizedImage: ${data.img.src} is served at full size; import it with ?responsive or configure an image CDN for its origin (configureImageCdn)`);
+    }
+  }, [ratio, data]);
+
+  useLayoutEffect(() => {
+    if (!priority) return;
+    startRef.current = performance.now();
+    // The first source is the preferred format; browsers that can't decode it
+    // skip the preload and still get the image from <picture>
+    const [preferred] = data.sources;
+    preloadImage(data.img.src, {
+      srcset: preferred ? preferred.srcset : data.img.srcset,
+      sizes: data.img.srcset || preferred ? sizes : undefined,
+      type: preferred && preferred.type,
+      fetchPriority: 'high'
+    });
+  }, [priority, data, sizes]);
+
+  useEffect(() => {
+    if (visible) return undefined;
+    return observeImage(wrapperRef.current, () => {
+      startRef.current = performance.now();
+      setVisible(true);
+    });
+  }, [visible]);
+
+  const handleLoad = (event) => {
+    const img = event.currentTarget;
+    setResult({ src: data.img.src, status: 'loaded' });
+
+    if (startRef.current !== null) {
+      const url = img.currentSrc || img.src;
+      performanceMonitor.reportMetric('ImageLoad', Math.round(performance.now() - startRef.current), {
+        id: `ImageLoad:${url}`,
+        src: url,
+        priority,
+        naturalWidth: img.naturalWidth,
+        // Much smaller than naturalWidth means sizes/widths fetch too large a file
+        renderedWidth: img.clientWidth
+      });
+    }
+    if (onLoad) onLoad(event);
+  };
+
+  const handleError = (event) => {
+    setResult({ src: data.img.src, status: 'error' });
+    if (onError) onError(event);
+  };
+
+  const placeholderColor = placeholder !== 'none' ? color || data.color : undefined;
+  const showBlur = placeholder === 'blur' && data.placeholder && status !== 'loaded';
+
+  return (
+    <span
+      ref={wrapperRef}
+      className={['optimized-image', `optimized-image-${status}`, className].filter(Boolean).join(' ')}
+      style={{ aspectRatio: ratio, width, backgroundColor: placeholderColor, ...style }}
+    >
+      {showBlur && (
+        <img className="optimized-image-placeholder" src={data.placeholder} alt="" aria-hidden="true" />
+      )}
+      {visible && (
+        <picture>
+          {data.sources.map(source => (
+            <source key={source.type} type={source.type} srcSet={source.srcset} sizes={sizes} />
+          ))}
+          <img
+            {...rest}
+            src={data.img.src}
+            srcSet={data.img.srcset || undefined}
+            sizes={data.img.srcset ? sizes : undefined}
+            alt={alt}
+            width={imageWidth}
+            height={imageHeight}
+            loading={priority ? 'eager' : 'lazy'}
+            decoding="async"
+            // React 18 doesn't know fetchPriority; the lowercase attribute passes through
+            fetchpriority={priority ? 'high' : undefined}
+            onLoad={handleLoad}
+            onError={handleError}
+          />
+        </picture>
+      )}
+    </span>
+  );
+};
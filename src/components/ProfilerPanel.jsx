@@ -0,0 +1,50 @@
+import React, { useSyncExternalStore } from 'react';
+import { componentProfiler } from '../utils/componentProfiler';
+
+const formatMs = value => (value == null ? '—' : `${value.toFixed(1)}ms`);
+
+// Render profile of components wrapped with withProfiler
+const ProfilerPanel = () => {
+  const results = useSyncExternalStore(componentProfiler.subscribe, componentProfiler.getResults);
+
+  if (!componentProfiler.active) {
+    return <p className="profiler-empty">Profiling is off for this page view (VITE_PROFILER_SAMPLE_RATE).</p>;
+  }
+
+  return (
+    <div className="profiler-panel">
+      <table>
+        <thead>
+          <tr>
+            <th>Component</th>
+            <th>Renders</th>
+            <th>Mount</th>
+            <th>Update avg</th>
+            <th>Update max</th>
+            <th>Base</th>
+            <th>Same props</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.map(({ id, renders, phases, baseDuration, unchangedPropsRenders, flagged }) => (
+            <tr key={id} className={flagged ? 'profiler-flagged' : undefined}>
+              <td>{id}</td>
+              <td>{renders}</td>
+              <td>{formatMs(phases.mount?.actualAverage)}</td>
+              <td>{formatMs(phases.update?.actualAverage)}</td>
+              <td>{formatMs(phases.update?.actualMax)}</td>
+              <td>{formatMs(baseDuration)}</td>
+              <td title={flagged ? 'Re-rendered with unchanged props; consider React.memo' : undefined}>
+                {unchangedPropsRenders}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {results.length === 0 && <p className="profiler-empty">No profiled renders yet.</p>}
+      <button onClick={() => componentProfiler.reset()}>Reset</button>
+    </div>
+  );
+};
+
+export default ProfilerPanel;
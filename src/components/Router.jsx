@@ -0,0 +1,140 @@
+import React, {
+  createContext,
+  Suspense,
+  useContext,
+  useLayoutEffect,
+  useMemo,
+  useSyncExternalStore
+} from 'react';
+import { ErrorBoundary } from './ErrorBoundary';
+import { LoadingSpinner } from './LoadingSpinner';
+import { usePrefetchOnHover } from '../hooks/usePrefetch';
+import { performanceMonitor } from '../utils/performanceMonitor';
+import { lazyWithRetry } from '../utils/lazyWithRetry';
+import {
+  NavigationAction,
+  subscribeToLocation,
+  getLocation,
+  navigate,
+  restoreScroll,
+  matchRoutes,
+  getRouteName,
+  getRouteModule,
+  prefetchRoute
+} from '../utils/router';
+
+export const RouterContext = createContext(null);
+export const RouteContext = createContext({ depth: -1, params: {}, route: null });
+
+// Lazy component per route, created on first render
+const routeComponents = new WeakMap();
+
+const getRouteComponent = (route) => {
+  if (route.component) return route.component;
+
+  const module = getRouteModule(route);
+  if (!module) return null;
+
+  if (!routeComponents.has(route)) {
+    // Chunk load time counts toward the soft navigation that needed it
+    routeComponents.set(route, lazyWithRetry(
+      () => performanceMonitor.trackNavigationTask('chunk', module.load()),
+      { name: module.key }
+    ));
+  }
+  return routeComponents.get(route);
+};
+
+// StrictMode runs layout effects twice; record each navigation once
+const renderedLocations = new WeakSet();
+
+// Rendered next to the leaf route inside its Suspense boundary, so its effect
+// runs once the destination has actually rendered
+const RouteRendered = ({ location, routeName }) => {
+  useLayoutEffect(() => {
+    if (renderedLocations.has(location)) return;
+    renderedLocations.add(location);
+
+    restoreScroll(location);
+    if (location.action === NavigationAction.INITIAL) {
+      performanceMonitor.enterRoute(routeName);
+    } else {
+      performanceMonitor.markNavigationRendered(routeName);
+    }
+  }, [location, routeName]);
+
+  return null;
+};
+
+const RouteView = ({ depth }) => {
+  const { matches, location, routeName } = useContext(RouterContext);
+  const match = matches && matches[depth];
+  if (!match) return null;
+
+  const { route, params, pathname } = match;
+  const Component = getRouteComponent(route);
+  const isLeaf = depth === matches.length - 1;
+
+  return (
+    <RouteContext.Provider value={{ depth, params, route }}>
+      {/* Keyed by the matched URL so navigating away clears a crashed route */}
+      <ErrorBoundary key={pathname} scope={`route:${route.name || pathname}`}>
+        <Suspense fallback={route.fallback || <LoadingSpinner />}>
+          {Component ? <Component /> : <Outlet />}
+          {isLeaf && <RouteRendered location={location} routeName={routeName} />}
+        </Suspense>
+      </ErrorBoundary>
+    </RouteContext.Provider>
+  );
+};
+
+// Renders the next level of the matched route branch
+export const Outlet = () => {
+  const { depth } = useContext(RouteContext);
+  return <RouteView depth={depth + 1} />;
+};
+
+// Provides the current location and matched routes; render <Outlet /> where
+// the top-level route should appear
+export const Router = ({ routes, children }) => {
+  const location = useSyncExternalStore(subscribeToLocation, getLocation, getLocation);
+
+  const value = useMemo(() => {
+    const matches = matchRoutes(routes, location.pathname);
+    return { routes, location, matches, routeName: getRouteName(matches) };
+  }, [routes, location]);
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+};
+
+const isModifiedClick = event =>
+  event.button !== 0 || event.metaKey || event.altKey || event.ctrlKey || event.shiftKey;
+
+// <a> that navigates without a page load and preloads its route on hover
+export const Link = ({ to, replace, state, onClick, target, children, ...props }) => {
+  const { routes, location } = useContext(RouterContext);
+  const prefetchProps = usePrefetchOnHover(options => prefetchRoute(routes, to, options));
+
+  const handleClick = (event) => {
+    if (onClick) onClick(event);
+    if (event.defaultPrevented || isModifiedClick(event) || (target && target !== '_self')) return;
+
+    event.preventDefault();
+    navigate(to, { replace, state });
+  };
+
+  const isActive = new URL(to, window.location.href).pathname === location.pathname;
+
+  return (
+    <a
+      href={to}
+      target={target}
+      aria-current={isActive ? 'page' : undefined}
+      {...prefetchProps}
+      {...props}
+      onClick={handleClick}
+    >
+      {children}
+    </a>
+  );
+};
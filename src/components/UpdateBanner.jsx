@@ -0,0 +1,22 @@
+import React from 'react';
+import { useServiceWorkerUpdate } from '../hooks/useServiceWorkerUpdate';
+
+export const UpdateBanner = () => {
+  const { updateAvailable, updating, applyUpdate, dismissUpdate } = useServiceWorkerUpdate();
+
+  if (!updateAvailable) return null;
+
+  return (
+    <div className="update-banner" role="alert">
+      <span>A new version of the app is available.</span>
+      <div className="update-banner-actions">
+        <button onClick={applyUpdate} disabled={updating}>
+          {updating ? 'Updating…' : 'Reload'}
+        </button>
+        <button onClick={dismissUpdate} disabled={updating} className="secondary">
+          Later
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,22 @@
+// The parts of useCachedFetch the app shell needs before any component using
+// the hook has loaded: App renders the provider and ErrorBoundary retries
+// failed requests. Kept apart so the data layer stays out of the entry chunk.
+import React, { createContext } from 'react';
+
+export const CachedFetchContext = createContext({});
+
+// Default options for every useCachedFetch call below it
+export const CachedFetchProvider = ({ options, children }) =>
+  React.createElement(CachedFetchContext.Provider, { value: options || {} }, children);
+
+// Suspense-mode failures by cache key, rethrown to the nearest error boundary
+// until it is reset or unmounted
+export const suspenseErrors = new Map();
+
+// Let suspended requests that failed with `error` load again on their next
+// render. ErrorBoundary calls this when it is reset or unmounted.
+export const retryFailedRequests = (error) => {
+  suspenseErrors.forEach((value, key) => {
+    if (value === error) suspenseErrors.delete(key);
+  });
+};
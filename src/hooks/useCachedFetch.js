@@ -0,0 +1,235 @@
+import { useCallback, useContext, useEffect, useRef, useState } from 'react';
+import {
+  fetchWithCache,
+  memoryCache,
+  dataCache,
+  cacheEvents,
+  createCacheKey,
+  CacheStrategy
+} from '../utils/cacheManager';
+import { isInvalidated } from '../utils/cacheInvalidation';
+import { prefetchScheduler } from '../utils/prefetchScheduler';
+import { performanceMonitor } from '../utils/performanceMonitor';
+import { CachedFetchContext, suspenseErrors } from './cachedFetchContext';
+
+export { CachedFetchProvider, retryFailedRequests } from './cachedFetchContext';
+
+const DEFAULT_OPTIONS = {
+  strategy: CacheStrategy.STALE_WHILE_REVALIDATE,
+  ttl: 300000,
+  suspense: false,
+  revalidateOnFocus: true,
+  revalidateOnReconnect: true,
+  enabled: true,
+  // Also keep parsed data in IndexedDB (dataCache), so it survives reloads
+  persist: false,
+  parse: response => response.json()
+};
+
+// Requests shared between hook instances and Suspense retries:
+// key -> { promise, force }
+const pendingRequests = new Map();
+
+const getDataKey = key => `fetch:${key}`;
+
+const storeData = (key, data, { ttl, tags, persist }) => {
+  (persist ? dataCache : memoryCache).set(getDataKey(key), data, { ttl, tags });
+};
+
+const isExpiredCacheEntry = response => {
+  const expires = response.headers.get('sw-cache-expire');
+  return Boolean(expires && new Date(expires) < new Date());
+};
+
+const createHttpError = response => {
+  const error = new Error(`Request failed with status ${response.status}`);
+  error.status = response.status;
+  error.response = response;
+  return error;
+};
+
+// Fetch, parse and keep the parsed data in memoryCache; resolves to { data, isStale }.
+// `force` goes to the network: a manual refetch should not be answered from the
+// cache, nor by a request already in flight that may be.
+const loadData = (url, key, options, { force = false } = {}) => {
+  const pending = pendingRequests.get(key);
+  if (pending && (pending.force || !force)) {
+    return pending.promise;
+  }
+
+  // Counts as a hit when prefetchData warmed the cache for this request
+  prefetchScheduler.markUsed(`data:${key}`);
+
+  const { parse, ttl, strategy, persist, ...fetchOptions } = options;
+  const promise = fetchWithCache(url, {
+    ...fetchOptions,
+    cacheable: true,
+    strategy: force ? CacheStrategy.NETWORK_FIRST : strategy,
+    ttl
+  })
+    .then(async response => {
+      if (!response.ok) throw createHttpError(response);
+
+      const data = await parse(response);
+      storeData(key, data, { ttl, tags: fetchOptions.tags, persist });
+      suspenseErrors.delete(key);
+
+      // Stale-while-revalidate served an expired entry; fresh data may follow
+      return { data, isStale: isExpiredCacheEntry(response) };
+    })
+    .catch(error => {
+      suspenseErrors.set(key, error);
+      throw error;
+    })
+    .finally(() => {
+      if (pendingRequests.get(key)?.promise === promise) pendingRequests.delete(key);
+    });
+
+  pendingRequests.set(key, { promise, force });
+  // Requests made while a route change is in progress count toward it
+  performanceMonitor.trackNavigationTask('fetch', promise);
+  return promise;
+};
+
+const getInitialState = (key, enabled) => {
+  const cached = key ? memoryCache.peek(getDataKey(key)) : null;
+  if (cached !== null) {
+    return { data: cached, error: null, status: 'success', isStale: false };
+  }
+  return { data: undefined, error: null, status: enabled && key ? 'loading' : 'idle', isStale: false };
+};
+
+export const useCachedFetch = (url, options = {}) => {
+  const defaults = useContext(CachedFetchContext);
+  const resolved = { ...DEFAULT_OPTIONS, ...defaults, ...options };
+  const {
+    suspense,
+    revalidateOnFocus,
+    revalidateOnReconnect,
+    enabled,
+    ...requestOptions
+  } = resolved;
+  const { strategy, ttl, parse, persist, ...fetchOptions } = requestOptions;
+
+  // The hook only reads, so POSTed queries are cached too
+  const key = url ? createCacheKey(url, fetchOptions, { cacheable: true }) : null;
+  const [state, setState] = useState(() => getInitialState(key, enabled));
+
+  // Options are usually inline objects; read the latest without re-running effects
+  const optionsRef = useRef(requestOptions);
+  optionsRef.current = requestOptions;
+  const requestIdRef = useRef(0);
+
+  // Suspense mode: suspend until data is in memoryCache, rethrow failures
+  if (suspense && enabled && key) {
+    const cached = memoryCache.peek(getDataKey(key));
+    if (cached === null) {
+      if (suspenseErrors.has(key)) throw suspenseErrors.get(key);
+      throw loadData(url, key, requestOptions).catch(() => {});
+    }
+  }
+
+  const run = useCallback(async (force = false) => {
+    if (!key) return;
+
+    const requestId = ++requestIdRef.current;
+    const current = optionsRef.current;
+
+    setState(prev => ({
+      ...prev,
+      error: null,
+      status: prev.data === undefined ? 'loading' : prev.status
+    }));
+
+    try {
+      const { data, isStale } = await loadData(url, key, current, { force });
+      if (requestId === requestIdRef.current) {
+        setState({ data, error: null, status: 'success', isStale });
+      }
+    } catch (error) {
+      if (requestId === requestIdRef.current) {
+        setState(prev => ({ ...prev, error, status: 'error' }));
+      }
+    }
+  }, [url, key]);
+
+  const refetch = useCallback(() => run(true), [run]);
+
+  // Load on mount and whenever the request changes. Data still in memoryCache,
+  // or with `persist` in IndexedDB, is fresh enough; focus, reconnect and
+  // refetch revalidate it.
+  useEffect(() => {
+    if (!enabled || !key) return;
+
+    const initialState = getInitialState(key, enabled);
+    setState(initialState);
+    if (initialState.status === 'success') return;
+    if (!persist) {
+      run();
+      return;
+    }
+
+    let cancelled = false;
+    dataCache.get(getDataKey(key)).then((data) => {
+      if (cancelled) return;
+      if (data === null) run();
+      else setState({ data, error: null, status: 'success', isStale: false });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key, enabled, strategy, persist, run]);
+
+  // Stale-while-revalidate delivered newer content, or the entry was invalidated
+  useEffect(() => {
+    if (!enabled || !key) return;
+
+    const handleRevalidate = async event => {
+      if (event.detail.key !== key) return;
+
+      try {
+        const data = await optionsRef.current.parse(event.detail.response.clone());
+        storeData(key, data, optionsRef.current);
+        setState({ data, error: null, status: 'success', isStale: false });
+      } catch (error) {
+        console.warn('Failed to parse revalidated response:', error);
+      }
+    };
+
+    // Invalidated here or in another tab: fetch again
+    const handleInvalidate = event => {
+      if (isInvalidated(event.detail, key, optionsRef.current.tags)) run(true);
+    };
+
+    cacheEvents.addEventListener('revalidate', handleRevalidate);
+    cacheEvents.addEventListener('invalidate', handleInvalidate);
+    return () => {
+      cacheEvents.removeEventListener('revalidate', handleRevalidate);
+      cacheEvents.removeEventListener('invalidate', handleInvalidate);
+    };
+  }, [key, enabled, run]);
+
+  // Revalidate when the user comes back to the tab or the network returns
+  useEffect(() => {
+    if (!enabled || !key) return;
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') run();
+    };
+    const handleOnline = () => run();
+
+    if (revalidateOnFocus) {
+      document.addEventListener('visibilitychange', handleVisibility);
+    }
+    if (revalidateOnReconnect) {
+      window.addEventListener('online', handleOnline);
+    }
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [key, enabled, revalidateOnFocus, revalidateOnReconnect, run]);
+
+  return { ...state, refetch };
+};
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeToNetworkStatus, getNetworkStatus } from '../utils/networkStatus';
+import { outbox } from '../utils/offlineQueue';
+
+// { online, since }
+export const useNetworkStatus = () =>
+  useSyncExternalStore(subscribeToNetworkStatus, getNetworkStatus, getNetworkStatus);
+
+// { pending, replaying } for requests waiting in the offline outbox
+export const useOutbox = () =>
+  useSyncExternalStore(outbox.subscribe, outbox.getState, outbox.getState);
@@ -0,0 +1,29 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { PrefetchPriority } from '../utils/prefetchScheduler';
+
+// Prefetch when the pointer rests on (or focus reaches) an element, e.g.
+// <button {...usePrefetchOnHover(() => analytics.prefetch())}>
+export const usePrefetchOnHover = (prefetch, { priority = PrefetchPriority.HIGH, delay = 50 } = {}) => {
+  const prefetchRef = useRef(prefetch);
+  prefetchRef.current = prefetch;
+  const timerRef = useRef(null);
+
+  // Brief pause so sweeping the pointer across the page doesn't prefetch everything
+  const start = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => prefetchRef.current({ priority }), delay);
+  }, [priority, delay]);
+
+  const stop = useCallback(() => clearTimeout(timerRef.current), []);
+
+  const startNow = useCallback(() => prefetchRef.current({ priority }), [priority]);
+
+  useEffect(() => stop, [stop]);
+
+  return {
+    onMouseEnter: start,
+    onMouseLeave: stop,
+    onFocus: startNow,
+    onTouchStart: startNow
+  };
+};
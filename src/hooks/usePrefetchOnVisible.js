@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { PrefetchPriority } from '../utils/prefetchScheduler';
+
+// Kept apart from usePrefetchOnHover, which the Router needs in the entry chunk;
+// only lazily loaded components use this one.
+
+// Prefetch once the element comes near the viewport; returns a ref callback
+export const usePrefetchOnVisible = (prefetch, { priority = PrefetchPriority.LOW, rootMargin = '200px' } = {}) => {
+  const prefetchRef = useRef(prefetch);
+  prefetchRef.current = prefetch;
+  const observerRef = useRef(null);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  return useCallback((element) => {
+    observerRef.current?.disconnect();
+    observerRef.current = null;
+    if (!element) return;
+
+    if (!('IntersectionObserver' in window)) {
+      prefetchRef.current({ priority });
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        prefetchRef.current({ priority });
+      }
+    }, { rootMargin });
+
+    observer.observe(element);
+    observerRef.current = observer;
+  }, [priority, rootMargin]);
+};
@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import { RouterContext, RouteContext } from '../components/Router';
+import { navigate } from '../utils/router';
+
+// { pathname, search, hash, state, key, action }
+export const useLocation = () => useContext(RouterContext).location;
+
+// Params from the matched route and its parents, e.g. { range: 'weekly' }
+export const useParams = () => useContext(RouteContext).params;
+
+export const useNavigate = () => navigate;
+
+// Name of the matched route branch, e.g. "analytics"
+export const useRouteName = () => useContext(RouterContext).routeName;
@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import {
+  subscribeToUpdates,
+  getUpdateState,
+  applyUpdate,
+  dismissUpdate
+} from '../utils/serviceWorker';
+
+// { updateAvailable, updating, applyUpdate, dismissUpdate }
+export const useServiceWorkerUpdate = () => {
+  const state = useSyncExternalStore(subscribeToUpdates, getUpdateState, getUpdateState);
+  return { ...state, applyUpdate, dismissUpdate };
+};
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const shallowEqualArrays = (a, b) =>
+  a.length === b.length && a.every((value, index) => Object.is(value, b[index]));
+
+// Keep the previous array while its items are the same, so inline
+// [data]-style argument lists don't re-run the effect every render
+const useStableArgs = (args) => {
+  const ref = useRef(args);
+  if (!shallowEqualArrays(ref.current, args)) {
+    ref.current = args;
+  }
+  return ref.current;
+};
+
+// Run `method` on a WorkerPool whenever `args` change. The previous call is
+// cancelled when the arguments change or the component unmounts.
+// Returns { data, error, status, cancel } like useCachedFetch.
+export const useWorker = (pool, method, args = [], { enabled = true, timeout } = {}) => {
+  const stableArgs = useStableArgs(args);
+  const [state, setState] = useState({ data: undefined, error: null, status: 'idle' });
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setState(prev => ({ ...prev, error: null, status: 'loading' }));
+
+    pool.run(method, stableArgs, { signal: controller.signal, timeout })
+      .then((data) => {
+        if (!controller.signal.aborted) setState({ data, error: null, status: 'success' });
+      })
+      .catch((error) => {
+        if (!controller.signal.aborted) setState(prev => ({ ...prev, error, status: 'error' }));
+      });
+
+    return () => controller.abort();
+  }, [pool, method, stableArgs, enabled, timeout]);
+
+  // Stop the current call, keeping the last result
+  const cancel = useCallback(() => {
+    if (!controllerRef.current || controllerRef.current.signal.aborted) return;
+    controllerRef.current.abort();
+    setState(prev => (prev.status === 'loading'
+      ? { ...prev, status: prev.data === undefined ? 'idle' : 'success' }
+      : prev));
+  }, []);
+
+  return { ...state, cancel };
+};
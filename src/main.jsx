@@ -1,28 +1,39 @@
+// Imported first: modules are evaluated in import order, so performance
+// monitoring (Web Vitals, TTI/TBT) starts before the rest of the app's code runs
+import './utils/performanceMonitor';
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { registerServiceWorker } from './utils/serviceWorker';
+import { errorReporter } from './utils/errorReporter';
 import './styles/index.css';
 
+// Report uncaught errors and collect breadcrumbs before the app renders
+errorReporter.install();
+
 // Register service worker for PWA
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').catch(() => {
-      // Service worker registration failed, app will still work online
-    });
-  });
-}
+registerServiceWorker();
 
-// Performance monitoring
-if (process.env.NODE_ENV === 'production') {
-  // Web Vitals monitoring
-  import('web-vitals').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-    getCLS(console.log);
-    getFID(console.log);
-    getFCP(console.log);
-    getLCP(console.log);
-    getTTFB(console.log);
+// Writes queued while offline that the server turned down on replay (see
+// utils/offlineQueue.js). A conflict means the server's copy changed, so
+// cached reads of it are dropped and views fetch the current version; any
+// other rejection lost the user's change and is reported. Both modules are
+// loaded on demand, like the rest of the data layer.
+import('./utils/offlineQueue').then(({ outbox }) => {
+  outbox.configure({
+    onConflict: async ({ entry }) => {
+      const { invalidatePrefix } = await import('./utils/cacheInvalidation');
+      invalidatePrefix(entry.url);
+    },
+    onFailure: ({ entry, response, error }) => {
+      errorReporter.captureException(error, {
+        tags: { method: entry.method, url: entry.url, status: response && response.status }
+      });
+    }
   });
-}
+}).catch(error => {
+  errorReporter.captureException(error, { tags: { module: 'offlineQueue' } });
+});
 
 // Render app
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -0,0 +1,35 @@
+// Route table for the client-side router (see components/Router.jsx).
+// Lazy routes are code-split and preloaded when a Link to them is hovered.
+export const routes = [
+  {
+    path: '/',
+    children: [
+      {
+        index: true,
+        name: 'dashboard',
+        load: () => import('./components/Dashboard')
+      },
+      {
+        // No component of its own: renders the matched child
+        path: 'analytics',
+        children: [
+          {
+            index: true,
+            name: 'analytics',
+            load: () => import('./components/Analytics')
+          },
+          {
+            path: ':range',
+            name: 'analytics-range',
+            load: () => import('./components/Analytics')
+          }
+        ]
+      },
+      {
+        path: '*',
+        name: 'not-found',
+        load: () => import('./components/NotFound')
+      }
+    ]
+  }
+];
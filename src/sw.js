@@ -0,0 +1,127 @@
+// Service worker source, built by vite-plugin-pwa (injectManifest)
+import { clientsClaim } from 'workbox-core';
+import {
+  precacheAndRoute,
+  cleanupOutdatedCaches,
+  createHandlerBoundToURL
+} from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import {
+  NetworkFirst,
+  CacheFirst,
+  StaleWhileRevalidate,
+  NetworkOnly,
+  CacheOnly
+} from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import {
+  CACHE_NAME,
+  CACHE_EXPIRE_HEADER,
+  CACHE_HIT_HEADER,
+  CacheStrategy,
+  cacheRoutes,
+  isOutdatedCache
+} from './utils/cacheConfig';
+import { outbox, OUTBOX_SYNC_TAG } from './utils/offlineQueue';
+
+const STRATEGY_HANDLERS = {
+  [CacheStrategy.NETWORK_FIRST]: NetworkFirst,
+  [CacheStrategy.CACHE_FIRST]: CacheFirst,
+  [CacheStrategy.STALE_WHILE_REVALIDATE]: StaleWhileRevalidate,
+  [CacheStrategy.NETWORK_ONLY]: NetworkOnly,
+  [CacheStrategy.CACHE_ONLY]: CacheOnly
+};
+
+const isExpired = (response) => {
+  const expires = response.headers.get(CACHE_EXPIRE_HEADER);
+  return Boolean(expires && new Date(expires) < new Date());
+};
+
+// Reads and writes the same `sw-cache-expire` metadata as cacheApiResponse,
+// so entries written by either side expire the same way
+const cacheMetadataPlugin = ({ ttl, allowStale }) => ({
+  cacheWillUpdate: async ({ response }) => {
+    if (!response || !(response.ok || response.type === 'opaque')) return null;
+    // Opaque responses can't be rewritten; they are cached as-is
+    if (response.type === 'opaque') return response;
+
+    const headers = new Headers(response.headers);
+    headers.set(CACHE_EXPIRE_HEADER, new Date(Date.now() + ttl).toISOString());
+
+    return new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  },
+  cachedResponseWillBeUsed: async ({ cachedResponse }) => {
+    if (!cachedResponse) return null;
+    // Stale-while-revalidate may serve expired entries while it refreshes them
+    if (!allowStale && isExpired(cachedResponse)) return null;
+    if (cachedResponse.type === 'opaque') return cachedResponse;
+
+    // Tell the page this didn't come from the network (see cacheManager.js)
+    const headers = new Headers(cachedResponse.headers);
+    headers.set(CACHE_HIT_HEADER, '1');
+    return new Response(cachedResponse.body, {
+      status: cachedResponse.status,
+      statusText: cachedResponse.statusText,
+      headers
+    });
+  }
+});
+
+const createHandler = ({ strategy, ttl, cacheName = CACHE_NAME, maxEntries }) => {
+  const Handler = STRATEGY_HANDLERS[strategy] || NetworkOnly;
+  const plugins = [
+    cacheMetadataPlugin({ ttl, allowStale: strategy === CacheStrategy.STALE_WHILE_REVALIDATE })
+  ];
+
+  if (maxEntries) {
+    plugins.push(new ExpirationPlugin({ maxEntries }));
+  }
+
+  return new Handler({ cacheName, plugins });
+};
+
+// A new worker waits until the page confirms the update (see serviceWorker.js)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Drop runtime caches from previous builds once this version takes over
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((cacheNames) =>
+      Promise.all(cacheNames.filter(isOutdatedCache).map((name) => caches.delete(name)))
+    )
+  );
+});
+
+clientsClaim();
+
+// Build assets
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve the app shell for client-side navigations
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+
+// Runtime caching, routed with the same table fetchWithCache uses
+cacheRoutes.forEach((route) => {
+  registerRoute(({ url }) => route.pattern.test(url.href), createHandler(route));
+});
+
+// Replay writes queued while offline (see utils/offlineQueue.js). Rejecting
+// makes the browser retry the sync later.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+
+  event.waitUntil(
+    outbox.replay().then(({ remaining }) => {
+      if (remaining > 0) throw new Error(`${remaining} queued requests not sent yet`);
+    })
+  );
+});
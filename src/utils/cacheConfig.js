@@ -0,0 +1,59 @@
+// Cache configuration shared by page code (cacheManager) and the service worker
+
+// __BUILD_ID__ is defined by vite.config.js and changes with every build
+export const CACHE_VERSION = typeof __BUILD_ID__ !== 'undefined' ? __BUILD_ID__ : 'dev';
+export const CACHE_PREFIX = 'jibril-cache-';
+export const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Caches from previous builds; other caches (precache, fonts) are left alone
+export const isOutdatedCache = (cacheName) =>
+  cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME;
+
+// Response headers used to store cache metadata
+export const CACHE_EXPIRE_HEADER = 'sw-cache-expire';
+export const CACHE_TAGS_HEADER = 'sw-cache-tags';
+// Set by the service worker on responses it served from its cache, e.g. while
+// offline, so the page doesn't take them for fresh network responses
+export const CACHE_HIT_HEADER = 'sw-cache-hit';
+
+// Cache strategies
+export const CacheStrategy = {
+  NETWORK_FIRST: 'network-first',
+  CACHE_FIRST: 'cache-first',
+  NETWORK_ONLY: 'network-only',
+  CACHE_ONLY: 'cache-only',
+  STALE_WHILE_REVALIDATE: 'stale-while-revalidate'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Strategy per URL pattern, tested against absolute URLs in order. The service
+// worker routes requests with these, and fetchWithCache uses them as defaults.
+export const cacheRoutes = [
+  {
+    name: 'api',
+    pattern: /^https?:\/\/[^/]+\/api\//,
+    strategy: CacheStrategy.NETWORK_FIRST,
+    ttl: 5 * 60 * 1000
+  },
+  {
+    name: 'google-fonts',
+    pattern: /^https:\/\/fonts\.(googleapis|gstatic)\.com\/.*/i,
+    strategy: CacheStrategy.CACHE_FIRST,
+    ttl: 365 * DAY,
+    cacheName: 'google-fonts-cache',
+    maxEntries: 10
+  },
+  {
+    name: 'images',
+    pattern: /\.(png|jpe?g|gif|svg|webp|avif)(\?.*)?$/i,
+    strategy: CacheStrategy.CACHE_FIRST,
+    ttl: 30 * DAY,
+    // Not versioned by build: images outlive deploys
+    cacheName: 'images-cache',
+    maxEntries: 60
+  }
+];
+
+export const matchCacheRoute = (url) =>
+  cacheRoutes.find(route => route.pattern.test(url)) || null;
@@ -0,0 +1,93 @@
+// Cache invalidation by tag, URL prefix or predicate
+//
+// Invalidation covers Cache Storage, memoryCache and the persistent data
+// cache. Cache Storage and IndexedDB are shared by every tab, but each tab has
+// its own memoryCache, so invalidations are broadcast to the other open tabs.
+import { memoryCache, persistentCache, cacheEvents, deleteCachedResponses } from './cacheManager';
+
+const CHANNEL_NAME = 'jibril-cache-invalidation';
+
+const channel = typeof BroadcastChannel !== 'undefined'
+  ? new BroadcastChannel(CHANNEL_NAME)
+  : null;
+
+const toAbsoluteUrl = (url) => {
+  try {
+    const base = typeof location !== 'undefined' ? location.href : 'http://localhost/';
+    return new URL(url, base).toString();
+  } catch (e) {
+    return url;
+  }
+};
+
+// useCachedFetch stores parsed data under "fetch:<cache key>", in memory and
+// with `persist` in the persistent data cache
+const keyToUrl = key => (typeof key === 'string' && key.startsWith('fetch:') ? key.slice(6) : key);
+
+// Build a matcher from { tags, prefix, predicate }; any matching criterion wins
+const createMatcher = ({ tags = [], prefix, predicate }) => {
+  const tagList = Array.isArray(tags) ? tags : [tags];
+  const absolutePrefix = prefix ? toAbsoluteUrl(prefix) : null;
+
+  return (url, entryTags = []) => {
+    if (tagList.some(tag => entryTags.includes(tag))) return true;
+    if (absolutePrefix && toAbsoluteUrl(url).startsWith(absolutePrefix)) return true;
+    if (predicate && predicate(url, entryTags)) return true;
+    return false;
+  };
+};
+
+// This tab's memory is the only per-tab state, so that's all other tabs clear
+const invalidateMemory = (matches) =>
+  memoryCache.deleteWhere((key, value, tags) => matches(keyToUrl(key), tags));
+
+const notify = (criteria, keys, source) => {
+  cacheEvents.dispatchEvent(new CustomEvent('invalidate', {
+    detail: { tags: criteria.tags, prefix: criteria.prefix, keys, source }
+  }));
+};
+
+// invalidateCache({ tags: ['dashboard'] }) or ({ prefix: '/api/users' }) or
+// ({ predicate: (url, tags) => ... }). Predicates can't be sent to other tabs,
+// so they only apply to this tab's memory cache and the shared stores.
+export const invalidateCache = async (criteria, { broadcast = true } = {}) => {
+  const matches = createMatcher(criteria);
+
+  const memoryKeys = invalidateMemory(matches);
+  const [persistentKeys, urls] = await Promise.all([
+    persistentCache.deleteWhere((key, value, tags) => matches(keyToUrl(key), tags)),
+    deleteCachedResponses(matches)
+  ]);
+  const keys = Array.from(new Set([...memoryKeys, ...persistentKeys, ...urls]));
+
+  if (broadcast && channel && (criteria.tags || criteria.prefix)) {
+    channel.postMessage({
+      type: 'invalidate',
+      tags: criteria.tags,
+      prefix: criteria.prefix
+    });
+  }
+
+  notify(criteria, keys, 'local');
+  return keys;
+};
+
+// Whether an 'invalidate' event's detail covers a cache key with the given tags
+export const isInvalidated = ({ keys = [], tags, prefix }, key, entryTags = []) =>
+  keys.includes(key) ||
+  keys.includes(`fetch:${key}`) ||
+  createMatcher({ tags, prefix })(key, entryTags);
+
+export const invalidateTags = (...tags) => invalidateCache({ tags });
+
+export const invalidatePrefix = prefix => invalidateCache({ prefix });
+
+if (channel) {
+  channel.addEventListener('message', ({ data }) => {
+    if (!data || data.type !== 'invalidate') return;
+
+    const criteria = { tags: data.tags, prefix: data.prefix };
+    const keys = invalidateMemory(createMatcher(criteria));
+    notify(criteria, keys, 'broadcast');
+  });
+}
@@ -1,22 +1,110 @@
 // Cache management utilities
+import { MemoryCache } from './memoryCache';
+import { PersistentCache } from './persistentCache';
+import { TieredCache } from './tieredCache';
+import {
+  CACHE_VERSION,
+  CACHE_NAME,
+  CACHE_EXPIRE_HEADER,
+  CACHE_TAGS_HEADER,
+  CACHE_HIT_HEADER,
+  CacheStrategy,
+  cacheRoutes,
+  matchCacheRoute,
+  isOutdatedCache
+} from './cacheConfig';
+import { reportNetworkError, reportNetworkSuccess } from './networkStatus';
+import { prefetchScheduler } from './prefetchScheduler';
 
-const CACHE_VERSION = 'v1';
-const CACHE_NAME = `jibril-cache-${CACHE_VERSION}`;
+// Cache names, strategies and routes are shared with the service worker
+export { CACHE_VERSION, CacheStrategy, cacheRoutes, matchCacheRoute };
 
-// Cache strategies
-export const CacheStrategy = {
-  NETWORK_FIRST: 'network-first',
-  CACHE_FIRST: 'cache-first',
-  NETWORK_ONLY: 'network-only',
-  CACHE_ONLY: 'cache-only',
-  STALE_WHILE_REVALIDATE: 'stale-while-revalidate'
+// Check if caches API is available
+const isCacheAvailable = typeof window !== 'undefined' && 'caches' in window;
+
+const DEFAULT_TTL = 3600000;
+
+// Emits 'revalidate' events when stale-while-revalidate fetches newer content,
+// and 'invalidate' events when entries are purged (see cacheInvalidation.js)
+export const cacheEvents = new EventTarget();
+
+// Requests currently on the network, keyed by cache key
+const inflightRequests = new Map();
+
+const toAbsoluteUrl = (url) => {
+  const base = typeof location !== 'undefined' ? location.href : 'http://localhost/';
+  return new URL(url, base).toString();
 };
 
-// Check if caches API is available
-const isCacheAvailable = 'caches' in window;
+// FNV-1a, enough to tell request bodies apart in a cache key
+const hashString = (input) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+const serializeBody = (body) => {
+  if (body == null) return '';
+  if (typeof body === 'string') return body;
+  if (body instanceof URLSearchParams) return body.toString();
+  // FormData, Blob and streams can't be read synchronously
+  return null;
+};
+
+const isReadMethod = method => method === 'GET' || method === 'HEAD';
+
+// Default cache key: the URL for plain GETs, otherwise the URL plus a hash of
+// method, body and any headers listed in `keyHeaders`. Returns null when the
+// request can't be keyed, which bypasses the cache. Writes (anything but GET
+// and HEAD) are only keyed when `cacheable` says they just read, like POSTed
+// queries.
+export const createCacheKey = (url, fetchOptions = {}, { keyHeaders = [], cacheable = false } = {}) => {
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  if (!cacheable && !isReadMethod(method)) return null;
+  
+  const body = serializeBody(fetchOptions.body);
+  if (body === null) return null;
+
+  const headers = new Headers(fetchOptions.headers);
+  const headerParts = keyHeaders.map(name => `${name.toLowerCase()}=${headers.get(name) || ''}`);
+
+  if (method === 'GET' && !body && headerParts.length === 0) {
+    return url;
+  }
 
-// Cache API response
-export const cacheApiResponse = async (url, response, ttl = 3600000) => {
+  const keyUrl = new URL(toAbsoluteUrl(url));
+  keyUrl.searchParams.set('__cache_key', hashString([method, body, ...headerParts].join('\n')));
+  return keyUrl.toString();
+};
+
+const parseCacheControl = (header) => {
+  const directives = {};
+  (header || '').split(',').forEach(part => {
+    const [name, value] = part.trim().toLowerCase().split('=');
+    if (name) directives[name] = value === undefined ? true : value;
+  });
+  return directives;
+};
+
+// Cache-Control from the server wins over the caller's TTL; null means don't store
+const resolveTtl = (response, ttl) => {
+  const directives = parseCacheControl(response.headers.get('Cache-Control'));
+
+  if (directives['no-store']) return null;
+  // Store, but treat as immediately stale so it's always revalidated
+  if (directives['no-cache']) return 0;
+  if (directives['max-age'] !== undefined) {
+    const maxAge = parseInt(directives['max-age'], 10);
+    if (!Number.isNaN(maxAge)) return maxAge * 1000;
+  }
+  return ttl;
+};
+
+// Cache API response, optionally tagged for later invalidation
+export const cacheApiResponse = async (url, response, ttl = DEFAULT_TTL, { tags = [] } = {}) => {
   if (!isCacheAvailable) return;
   
   try {
@@ -25,7 +113,10 @@ export const cacheApiResponse = async (url, response, ttl = 3600000) => {
     
     // Add cache metadata
     const headers = new Headers(clonedResponse.headers);
-    headers.append('sw-cache-expire', new Date(Date.now() + ttl).toISOString());
+    headers.set(CACHE_EXPIRE_HEADER, new Date(Date.now() + ttl).toISOString());
+    if (tags.length > 0) {
+      headers.set(CACHE_TAGS_HEADER, tags.join(','));
+    }
     
     const responseWithMeta = new Response(clonedResponse.body, {
       status: clonedResponse.status,
@@ -39,149 +130,316 @@ export const cacheApiResponse = async (url, response, ttl = 3600000) => {
   }
 };
 
-// Get cached response
-export const getCachedResponse = async (url) => {
-  if (!isCacheAvailable) return null;
+// Look up a cached response without discarding expired ones (needed for ETags)
+const matchCache = async (key) => {
+  if (!isCacheAvailable) return { response: null, expired: false };
   
   try {
     const cache = await caches.open(CACHE_NAME);
-    const cachedResponse = await cache.match(url);
-    
-    if (!cachedResponse) return null;
+    const response = await cache.match(key);
+    if (!response) return { response: null, expired: false };
     
-    // Check if cache is expired
-    const expireDate = cachedResponse.headers.get('sw-cache-expire');
-    if (expireDate && new Date(expireDate) < new Date()) {
-      await cache.delete(url);
-      return null;
-    }
-    
-    return cachedResponse;
+    const expireDate = response.headers.get(CACHE_EXPIRE_HEADER);
+    const expired = Boolean(expireDate && new Date(expireDate) < new Date());
+    return { response, expired };
   } catch (error) {
     console.error('Failed to get cached response:', error);
+    return { response: null, expired: false };
+  }
+};
+
+// Get cached response
+export const getCachedResponse = async (url) => {
+  const { response, expired } = await matchCache(url);
+  if (!response) return null;
+  
+  // Check if cache is expired
+  if (expired) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.delete(url);
     return null;
   }
+  
+  return response;
+};
+
+// fetch() with an optional timeout, still honoring the caller's own signal
+const fetchWithTimeout = (url, fetchOptions, timeout) => {
+  if (!timeout) return fetch(url, fetchOptions);
+  
+  const controller = new AbortController();
+  const { signal } = fetchOptions;
+  const abort = () => controller.abort(signal.reason);
+  
+  if (signal) {
+    if (signal.aborted) abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  }
+  
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException(`Request timed out after ${timeout}ms`, 'TimeoutError'));
+  }, timeout);
+  
+  return fetch(url, { ...fetchOptions, signal: controller.signal }).finally(() => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  });
+};
+
+// Fetch from the network and update the cache. When a cached copy with an ETag
+// exists the request is conditional, and a 304 refreshes the cached copy.
+// Resolves to { response, modified }.
+const requestFromNetwork = async ({ url, key, ttl, tags, timeout, fetchOptions }, cached) => {
+  const headers = new Headers(fetchOptions.headers);
+  const etag = cached && cached.headers.get('ETag');
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  
+  if (etag && isReadMethod(method) && !headers.has('If-None-Match')) {
+    headers.set('If-None-Match', etag);
+  }
+  
+  let response;
+  try {
+    response = await fetchWithTimeout(url, { ...fetchOptions, headers }, timeout);
+  } catch (error) {
+    // Feeds the offline indicator; the strategies decide on cache fallbacks
+    reportNetworkError(error);
+    throw error;
+  }
+  
+  // The service worker answered from its cache, maybe because the network is
+  // down: no sign of connectivity, and nothing newer to store
+  const fromWorkerCache = response.headers.has(CACHE_HIT_HEADER);
+  if (!fromWorkerCache) reportNetworkSuccess();
+  
+  if (response.status === 304 && cached) {
+    const freshTtl = resolveTtl(response, ttl);
+    if (freshTtl !== null) await cacheApiResponse(key, cached, freshTtl, { tags });
+    return { response: cached, modified: false };
+  }
+  
+  if (response.ok && !fromWorkerCache) {
+    const freshTtl = resolveTtl(response, ttl);
+    if (freshTtl !== null) await cacheApiResponse(key, response, freshTtl, { tags });
+  }
+  
+  const modified = !etag || response.headers.get('ETag') !== etag;
+  return { response, modified };
+};
+
+// Identical concurrent GETs share one network round trip; each caller gets its
+// own clone. Requests with their own AbortSignal aren't shared, and neither are
+// other methods: two identical writes are still two writes.
+const fetchFromNetwork = (request, cached) => {
+  const { key, fetchOptions } = request;
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  const shareable = !fetchOptions.signal && isReadMethod(method);
+  
+  let pending = shareable ? inflightRequests.get(key) : null;
+  if (!pending) {
+    pending = requestFromNetwork(request, cached);
+    if (shareable) {
+      inflightRequests.set(key, pending);
+      pending.then(
+        () => inflightRequests.delete(key),
+        () => inflightRequests.delete(key)
+      );
+    }
+  }
+  
+  return pending.then(({ response, modified }) => ({ response: response.clone(), modified }));
+};
+
+// Background refresh for stale-while-revalidate
+const revalidate = (request, cached) => {
+  fetchFromNetwork(request, cached)
+    .then(({ response, modified }) => {
+      if (!modified || !response.ok) return;
+      
+      if (request.onRevalidate) {
+        request.onRevalidate(response.clone());
+      }
+      cacheEvents.dispatchEvent(new CustomEvent('revalidate', {
+        detail: { url: request.url, key: request.key, response: response.clone() }
+      }));
+    })
+    .catch(error => {
+      console.warn('Background revalidation failed:', error);
+    });
 };
 
 // Fetch with cache
-export const fetchWithCache = async (url, options = {}) => {
+const fetchWithStrategy = async (url, options) => {
+  // Without an explicit strategy/TTL, use the route shared with the service worker
+  const route = matchCacheRoute(toAbsoluteUrl(url));
   const {
-    strategy = CacheStrategy.NETWORK_FIRST,
-    ttl = 3600000,
+    strategy = route ? route.strategy : CacheStrategy.NETWORK_FIRST,
+    ttl = route ? route.ttl : DEFAULT_TTL,
+    tags = [],
+    timeout,
+    cacheKey = createCacheKey,
+    keyHeaders,
+    cacheable,
+    onRevalidate,
     ...fetchOptions
   } = options;
   
+  const key = strategy === CacheStrategy.NETWORK_ONLY
+    ? null
+    : cacheKey(url, fetchOptions, { keyHeaders, cacheable });
+  
+  // Uncacheable request (a write, or e.g. a FormData body): go straight to the network
+  if (key == null) {
+    return fetchWithTimeout(url, fetchOptions, timeout);
+  }
+  
+  const request = { url, key, ttl, tags, timeout, fetchOptions, onRevalidate };
+  
   switch (strategy) {
-    case CacheStrategy.NETWORK_FIRST:
+    case CacheStrategy.NETWORK_FIRST: {
       try {
-        const response = await fetch(url, fetchOptions);
-        if (response.ok) {
-          await cacheApiResponse(url, response, ttl);
-        }
+        const { response: cached } = await matchCache(key);
+        const { response } = await fetchFromNetwork(request, cached);
         return response;
       } catch (error) {
-        const cachedResponse = await getCachedResponse(url);
+        const cachedResponse = await getCachedResponse(key);
         if (cachedResponse) return cachedResponse;
         throw error;
       }
+    }
       
-    case CacheStrategy.CACHE_FIRST:
-      const cachedResponse = await getCachedResponse(url);
-      if (cachedResponse) return cachedResponse;
+    case CacheStrategy.CACHE_FIRST: {
+      const { response: cached, expired } = await matchCache(key);
+      if (cached && !expired) return cached;
       
-      const response = await fetch(url, fetchOptions);
-      if (response.ok) {
-        await cacheApiResponse(url, response, ttl);
-      }
+      const { response } = await fetchFromNetwork(request, cached);
       return response;
+    }
       
-    case CacheStrategy.STALE_WHILE_REVALIDATE:
-      const cached = await getCachedResponse(url);
-      const fetchPromise = fetch(url, fetchOptions).then(res => {
-        if (res.ok) {
-          cacheApiResponse(url, res, ttl);
-        }
-        return res;
-      });
-      
-      return cached || fetchPromise;
+    case CacheStrategy.STALE_WHILE_REVALIDATE: {
+      // Serve whatever is cached, however old, and refresh in the background
+      const { response: cached } = await matchCache(key);
+      if (!cached) {
+        const { response } = await fetchFromNetwork(request);
+        return response;
+      }
       
-    case CacheStrategy.NETWORK_ONLY:
-      return fetch(url, fetchOptions);
+      // The caller consumes `cached`, so revalidate against a copy
+      revalidate(request, cached.clone());
+      return cached;
+    }
       
-    case CacheStrategy.CACHE_ONLY:
-      const cacheOnly = await getCachedResponse(url);
+    case CacheStrategy.CACHE_ONLY: {
+      const cacheOnly = await getCachedResponse(key);
       if (!cacheOnly) {
         throw new Error('No cached response available');
       }
       return cacheOnly;
+    }
       
     default:
-      return fetch(url, fetchOptions);
+      return fetchWithTimeout(url, fetchOptions, timeout);
   }
 };
 
-// Clear old caches
-export const clearOldCaches = async () => {
-  if (!isCacheAvailable) return;
+// fetch() with caching strategies. Writes (anything but GET and HEAD) that
+// can't reach the server are stored in the outbox and replayed later (see
+// offlineQueue.js); they resolve to a 202 response with an X-Outbox-Id header.
+// Writes are never cached. Pass `cacheable: true` for requests that only read,
+// like POSTed queries, to cache them instead of queueing them, or `queue: false`
+// to do neither.
+export const fetchWithCache = async (url, options = {}) => {
+  const { queue = true, ...rest } = options;
+  const method = (rest.method || 'GET').toUpperCase();
+  if (!queue || rest.cacheable || isReadMethod(method)) {
+    return fetchWithStrategy(url, rest);
+  }
   
-  const cacheNames = await caches.keys();
-  const currentCaches = [CACHE_NAME];
+  try {
+    return await fetchWithStrategy(url, rest);
+  } catch (error) {
+    // Network failures only; aborts, timeouts and cache misses are the caller's
+    if (error.name !== 'TypeError') throw error;
+    
+    // Loaded on demand to keep IndexedDB code out of the entry chunk
+    const { outbox, queueRequest } = await import('./offlineQueue');
+    if (!outbox.available) throw error;
+    return queueRequest(url, rest);
+  }
+};
+
+// Warm the cache for a request made later through fetchWithCache or
+// useCachedFetch (which reports the hit), in idle time via prefetchScheduler
+export const prefetchData = (url, { priority, ...options } = {}) =>
+  prefetchScheduler.prefetch(`data:${url}`, async ({ signal }) => {
+    const response = await fetchWithCache(url, {
+      strategy: CacheStrategy.NETWORK_FIRST,
+      ...options,
+      signal
+    });
+    // Only the cache write matters; release the body
+    response.body?.cancel();
+    return response.ok;
+  }, { priority });
+
+// Delete Cache Storage entries for which predicate(url, tags) is true
+export const deleteCachedResponses = async (predicate) => {
+  if (!isCacheAvailable) return [];
   
-  await Promise.all(
-    cacheNames.map(cacheName => {
-      if (!currentCaches.includes(cacheName)) {
-        return caches.delete(cacheName);
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const requests = await cache.keys();
+    const deleted = [];
+    
+    await Promise.all(requests.map(async request => {
+      const response = await cache.match(request);
+      const tagHeader = response && response.headers.get(CACHE_TAGS_HEADER);
+      const tags = tagHeader ? tagHeader.split(',') : [];
+      
+      if (predicate(request.url, tags)) {
+        await cache.delete(request);
+        deleted.push(request.url);
       }
-    })
-  );
+    }));
+    
+    return deleted;
+  } catch (error) {
+    console.error('Failed to delete cached responses:', error);
+    return [];
+  }
 };
 
-// Preload critical resources
-export const preloadResources = async (urls) => {
+// Clear caches left behind by previous builds
+export const clearOldCaches = async () => {
   if (!isCacheAvailable) return;
   
-  const cache = await caches.open(CACHE_NAME);
-  await cache.addAll(urls);
+  const cacheNames = await caches.keys();
+  
+  await Promise.all(
+    cacheNames.filter(isOutdatedCache).map(cacheName => caches.delete(cacheName))
+  );
 };
 
 // Memory cache for runtime data
-class MemoryCache {
-  constructor(maxSize = 100, ttl = 300000) {
-    this.cache = new Map();
-    this.maxSize = maxSize;
-    this.ttl = ttl;
-  }
-  
-  set(key, value) {
-    // Implement LRU eviction if needed
-    if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    
-    this.cache.set(key, {
-      value,
-      expires: Date.now() + this.ttl
-    });
-  }
-  
-  get(key) {
-    const item = this.cache.get(key);
-    
-    if (!item) return null;
-    
-    if (Date.now() > item.expires) {
-      this.cache.delete(key);
-      return null;
-    }
-    
-    return item.value;
-  }
-  
-  clear() {
-    this.cache.clear();
-  }
-}
+export { MemoryCache };
+
+export const memoryCache = new MemoryCache({
+  maxSize: 100,
+  ttl: 300000,
+  sweepInterval: 60000
+});
+
+// Structured data that should survive reloads: memory first, then IndexedDB
+export { PersistentCache, TieredCache };
+
+export const persistentCache = new PersistentCache({
+  namespace: 'data',
+  version: CACHE_VERSION,
+  ttl: 300000,
+  maxEntries: 500
+});
 
-export const memoryCache = new MemoryCache();
\ No newline at end of file
+export const dataCache = new TieredCache({
+  memory: memoryCache,
+  persistent: persistentCache
+});
@@ -0,0 +1,22 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createCacheKey } from './cacheManager';
+
+// The scheduler brings in the performance monitor, which needs a browser
+vi.mock('./prefetchScheduler', () => ({ prefetchScheduler: {} }));
+
+describe('createCacheKey', () => {
+  it('keys GETs by URL', () => {
+    expect(createCacheKey('/api/items')).toBe('/api/items');
+    expect(createCacheKey('/api/items', { method: 'HEAD' })).toMatch(/__cache_key=/);
+  });
+
+  it('does not key writes unless they are marked cacheable', () => {
+    const post = { method: 'POST', body: '{"q":"a"}' };
+    expect(createCacheKey('/api/search', post)).toBeNull();
+    expect(createCacheKey('/api/items/1', { method: 'DELETE' })).toBeNull();
+
+    const key = createCacheKey('/api/search', post, { cacheable: true });
+    expect(key).toMatch(/__cache_key=/);
+    expect(createCacheKey('/api/search', { ...post, body: '{"q":"b"}' }, { cacheable: true })).not.toBe(key);
+  });
+});
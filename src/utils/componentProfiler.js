@@ -0,0 +1,195 @@
+// Component render profiling with React.Profiler
+//
+// Records actualDuration (time spent rendering the committed tree) and
+// baseDuration (estimated cost of a render without memoization) per component
+// and phase, and counts renders where the component received the same props
+// as last time, which are candidates for React.memo.
+//
+// Development builds always provide timings. Production builds only do when
+// built against react-dom/profiling (REACT_PROFILING=true, see vite.config.js);
+// sampleRate decides which page views collect anything.
+import React, { Profiler, useLayoutEffect, useRef } from 'react';
+
+const DEFAULT_OPTIONS = {
+  sampleRate: process.env.NODE_ENV === 'development'
+    ? 1
+    : Number(import.meta.env.VITE_PROFILER_SAMPLE_RATE || 0),
+  // Store updates are batched so profiling UIs don't re-render every commit
+  notifyInterval: 1000
+};
+
+const PHASES = ['mount', 'update', 'nested-update'];
+
+const createPhaseStats = () => ({ count: 0, actualTotal: 0, actualMax: 0, baseTotal: 0 });
+
+const createComponentStats = id => ({
+  id,
+  renders: 0,
+  unchangedPropsRenders: 0,
+  lastBaseDuration: 0,
+  phases: Object.fromEntries(PHASES.map(phase => [phase, createPhaseStats()]))
+});
+
+const shallowEqual = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+export class ComponentProfiler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sampled = Math.random() < this.options.sampleRate;
+    this.components = new Map();
+    this.notifyTimer = null;
+
+    // Store API for profiling UIs
+    this.listeners = new Set();
+    this.results = [];
+    this.subscribe = this.subscribe.bind(this);
+    this.getResults = this.getResults.bind(this);
+    this.handleRender = this.handleRender.bind(this);
+  }
+
+  configure(options = {}) {
+    const previousRate = this.options.sampleRate;
+    this.options = { ...this.options, ...options };
+
+    // Like MetricsReporter: decided once per page view, re-rolled on change
+    if (this.options.sampleRate !== previousRate) {
+      this.sampled = Math.random() < this.options.sampleRate;
+    }
+  }
+
+  get active() {
+    return this.sampled;
+  }
+
+  getStats(id) {
+    if (!this.components.has(id)) {
+      this.components.set(id, createComponentStats(id));
+    }
+    return this.components.get(id);
+  }
+
+  // React.Profiler onRender callback
+  handleRender(id, phase, actualDuration, baseDuration) {
+    if (!this.active) return;
+
+    const stats = this.getStats(id);
+    const phaseStats = stats.phases[phase] || stats.phases.update;
+
+    stats.renders++;
+    stats.lastBaseDuration = baseDuration;
+    phaseStats.count++;
+    phaseStats.actualTotal += actualDuration;
+    phaseStats.actualMax = Math.max(phaseStats.actualMax, actualDuration);
+    phaseStats.baseTotal += baseDuration;
+
+    this.scheduleNotify();
+  }
+
+  // The wrapper re-rendered with shallowly equal props
+  recordUnchangedProps(id) {
+    if (!this.active) return;
+    this.getStats(id).unchangedPropsRenders++;
+    this.scheduleNotify();
+  }
+
+  scheduleNotify() {
+    if (this.notifyTimer) return;
+    this.notifyTimer = setTimeout(() => {
+      this.notifyTimer = null;
+      this.notify();
+    }, this.options.notifyInterval);
+  }
+
+  notify() {
+    this.results = this.summarize();
+    this.listeners.forEach(listener => listener());
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Per component, slowest first (by total actualDuration)
+  getResults() {
+    return this.results;
+  }
+
+  summarize() {
+    return Object.freeze(
+      Array.from(this.components.values(), (stats) => {
+        const phases = {};
+        let actualTotal = 0;
+
+        PHASES.forEach((phase) => {
+          const { count, actualTotal: total, actualMax, baseTotal } = stats.phases[phase];
+          actualTotal += total;
+          if (count === 0) return;
+          phases[phase] = {
+            count,
+            actualAverage: round(total / count),
+            actualMax: round(actualMax),
+            baseAverage: round(baseTotal / count)
+          };
+        });
+
+        return Object.freeze({
+          id: stats.id,
+          renders: stats.renders,
+          actualTotal: round(actualTotal),
+          baseDuration: round(stats.lastBaseDuration),
+          unchangedPropsRenders: stats.unchangedPropsRenders,
+          // Re-rendered with the same props: React.memo would have skipped it
+          flagged: stats.unchangedPropsRenders > 0,
+          phases
+        });
+      }).sort((a, b) => b.actualTotal - a.actualTotal)
+    );
+  }
+
+  reset() {
+    this.components.clear();
+    this.notify();
+  }
+}
+
+export const componentProfiler = new ComponentProfiler();
+
+// Wrap a component in <React.Profiler id={id}>. The wrapper also compares each
+// render's props with the previous ones, committed in a layout effect so
+// renders React throws away (StrictMode, interrupted renders) don't count.
+export const withProfiler = (Component, id = Component.displayName || Component.name || 'Anonymous') => {
+  const Profiled = (props) => {
+    const previousProps = useRef(null);
+    const unchanged = previousProps.current !== null && shallowEqual(previousProps.current, props);
+
+    useLayoutEffect(() => {
+      if (unchanged) componentProfiler.recordUnchangedProps(id);
+      previousProps.current = props;
+    });
+
+    return React.createElement(
+      Profiler,
+      { id, onRender: componentProfiler.handleRender },
+      React.createElement(Component, props)
+    );
+  };
+
+  Profiled.displayName = `Profiled(${id})`;
+  return Profiled;
+};
+
+// Profile a component with React.Profiler; kept under its old name, which
+// performanceMonitor.js used to export
+export const withPerformanceTracking = (Component, componentName) =>
+  withProfiler(Component, componentName);
@@ -0,0 +1,9 @@
+// Short CSS-like description of an event target: button#save.primary
+export const describeElement = (node) => {
+  if (!node || !node.tagName) return null;
+  const id = node.id ? `#${node.id}` : '';
+  const classes = typeof node.className === 'string' && node.className.trim()
+    ? `.${node.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+    : '';
+  return `${node.tagName.toLowerCase()}${id}${classes}`;
+};
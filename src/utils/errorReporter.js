@@ -0,0 +1,341 @@
+// Error reporting
+//
+// Captures errors caught by ErrorBoundary, uncaught errors and unhandled
+// promise rejections. Each report carries the parsed stack, the app version
+// and build, and breadcrumbs: the most recent route changes, fetches and
+// clicks before the error. Reports are fingerprinted by error type, message
+// and top stack frames, so an error thrown in a loop is sent once with a
+// count instead of flooding the collector. Delivery (batching, retries,
+// sendBeacon on page hide) is a MetricsReporter of its own.
+import { MetricsReporter, createConsoleSink, createHttpSink } from './metricsReporter';
+import { RingBuffer } from './ringBuffer';
+import { describeElement } from './describeElement';
+import { subscribeToLocation, getLocation } from './router';
+import { CACHE_VERSION } from './cacheConfig';
+
+const hasWindow = typeof window !== 'undefined';
+
+// package.json version, defined by vite.config.js
+export const APP_VERSION = typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : 'dev';
+
+const DEFAULT_OPTIONS = {
+  endpoint: import.meta.env.VITE_ERROR_ENDPOINT,
+  sampleRate: 1,
+  maxBreadcrumbs: 30,
+  // Repeats of a fingerprint within this window only increase its count
+  dedupeInterval: 60000,
+  // Reports per page view, whatever the fingerprints
+  maxReports: 50,
+  // Messages that are noise rather than bugs
+  ignore: [
+    /ResizeObserver loop/,
+    // Cross-origin script without CORS: no message, file or stack to go on
+    /^Script error\.?$/
+  ],
+  // Errors should arrive sooner than metrics
+  batchSize: 10,
+  flushInterval: 2000
+};
+
+// Frames kept per report, and frames that make up the fingerprint
+const MAX_FRAMES = 30;
+const FINGERPRINT_FRAMES = 5;
+
+// V8: "    at fn (https://host/assets/index-abc.js:1:234)" or "    at https://host/...:1:234"
+const V8_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+// Firefox and Safari: "fn@https://host/assets/index-abc.js:1:234"
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)$/;
+
+// Same-origin files are shortened to their path; query strings (Vite's ?t=
+// timestamps, cache busters) are dropped so they don't split fingerprints
+const normalizeFile = (file) => {
+  let result = file.split(/[?#]/)[0];
+  if (hasWindow && result.startsWith(window.location.origin)) {
+    result = result.slice(window.location.origin.length);
+  }
+  return result;
+};
+
+// [{ function, file, line, column }], innermost first
+export const parseStack = (stack) => {
+  if (!stack) return [];
+
+  const frames = [];
+  for (const line of stack.split('\n')) {
+    const match = line.match(V8_FRAME) || line.match(GECKO_FRAME);
+    if (!match) continue;
+
+    frames.push({
+      function: match[1] || '<anonymous>',
+      file: normalizeFile(match[2]),
+      line: Number(match[3]),
+      column: Number(match[4])
+    });
+    if (frames.length === MAX_FRAMES) break;
+  }
+  return frames;
+};
+
+// Anything can be thrown or rejected; turn it into { name, message, stack }
+export const normalizeError = (value) => {
+  if (value instanceof Error || (value && typeof value.message === 'string')) {
+    return { name: value.name || 'Error', message: value.message, stack: value.stack || '' };
+  }
+
+  let message;
+  try {
+    message = typeof value === 'string' ? value : JSON.stringify(value);
+  } catch (e) {
+    message = String(value);
+  }
+  return { name: 'NonError', message: String(message), stack: '' };
+};
+
+// FNV-1a
+const hashString = (input) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+// Line numbers are left out so an error keeps its fingerprint across small
+// edits; numbers in messages (ids, indexes) are masked for the same reason
+export const getFingerprint = ({ name, message }, frames) =>
+  hashString([
+    name,
+    message.replace(/\d+/g, 'N'),
+    ...frames.slice(0, FINGERPRINT_FRAMES).map(frame => `${frame.function}@${frame.file}`)
+  ].join('\n'));
+
+// Breadcrumb URLs lose their query string, which may carry tokens
+const toBreadcrumbUrl = (url) => {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return parsed.origin === window.location.origin ? parsed.pathname : `${parsed.origin}${parsed.pathname}`;
+  } catch (e) {
+    return String(url);
+  }
+};
+
+export class ErrorReporter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.breadcrumbs = new RingBuffer(this.options.maxBreadcrumbs);
+    // fingerprint -> { reportedAt, repeats }
+    this.seen = new Map();
+    // Error object -> { fingerprint, report } for errors already captured. React
+    // development builds pass a caught error to window.onerror before the
+    // boundary's componentDidCatch; the boundary's details go into that report.
+    this.captured = new WeakMap();
+    this.reportCount = 0;
+    this.installed = false;
+    this.cleanups = [];
+    this.unregisterHttpSink = null;
+
+    this.reporter = new MetricsReporter({
+      batchSize: this.options.batchSize,
+      flushInterval: this.options.flushInterval,
+      sampleRate: this.options.sampleRate
+    });
+    this.reporter.setContextProvider(() => ({
+      version: APP_VERSION,
+      build: CACHE_VERSION,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : undefined
+    }));
+    this.initializeSinks();
+
+    this.handleError = this.handleError.bind(this);
+    this.handleRejection = this.handleRejection.bind(this);
+  }
+
+  initializeSinks() {
+    if (process.env.NODE_ENV === 'development') {
+      this.reporter.register(createConsoleSink({ prefix: '[Error]' }));
+    }
+    this.setEndpoint(this.options.endpoint);
+  }
+
+  // Batches are POSTed as { errors: [...] }
+  setEndpoint(endpoint) {
+    if (this.unregisterHttpSink) this.unregisterHttpSink();
+    this.unregisterHttpSink = endpoint
+      ? this.reporter.register(createHttpSink({ endpoint, payloadKey: 'errors' }))
+      : null;
+  }
+
+  configure(options = {}) {
+    const previousEndpoint = this.options.endpoint;
+    this.options = { ...this.options, ...options };
+    this.reporter.configure({
+      batchSize: this.options.batchSize,
+      flushInterval: this.options.flushInterval,
+      sampleRate: this.options.sampleRate
+    });
+
+    if (this.options.endpoint !== previousEndpoint) {
+      this.setEndpoint(this.options.endpoint);
+    }
+  }
+
+  // Global handlers and breadcrumb collection; call once, as early as possible
+  install() {
+    if (this.installed || !hasWindow) return;
+    this.installed = true;
+
+    window.addEventListener('error', this.handleError);
+    window.addEventListener('unhandledrejection', this.handleRejection);
+    this.cleanups.push(() => {
+      window.removeEventListener('error', this.handleError);
+      window.removeEventListener('unhandledrejection', this.handleRejection);
+    });
+
+    this.cleanups.push(subscribeToLocation(() => {
+      const { from, pathname, action } = getLocation();
+      this.addBreadcrumb('navigation', { from, to: pathname, action });
+    }));
+
+    const handleClick = (event) => {
+      this.addBreadcrumb('click', { target: describeElement(event.target) });
+    };
+    document.addEventListener('click', handleClick, { capture: true, passive: true });
+    this.cleanups.push(() => document.removeEventListener('click', handleClick, { capture: true }));
+
+    this.instrumentFetch();
+  }
+
+  uninstall() {
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    this.installed = false;
+  }
+
+  // Wraps window.fetch to record method, URL, status and duration
+  instrumentFetch() {
+    if (typeof window.fetch !== 'function') return;
+
+    const originalFetch = window.fetch;
+    const reporter = this;
+
+    window.fetch = function fetch(input, init) {
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const url = isRequest ? input.url : String(input);
+      const method = ((init && init.method) || (isRequest ? input.method : 'GET')).toUpperCase();
+      const start = performance.now();
+      // Our own deliveries would only bury the interesting requests
+      const own = reporter.options.endpoint && url.includes(reporter.options.endpoint);
+
+      const record = (details) => {
+        if (own) return;
+        reporter.addBreadcrumb('fetch', {
+          method,
+          url: toBreadcrumbUrl(url),
+          duration: Math.round(performance.now() - start),
+          ...details
+        });
+      };
+
+      return originalFetch.call(window, input, init).then(
+        (response) => {
+          record({ status: response.status });
+          return response;
+        },
+        (error) => {
+          record({ error: error && error.name });
+          throw error;
+        }
+      );
+    };
+    this.cleanups.push(() => {
+      window.fetch = originalFetch;
+    });
+  }
+
+  addBreadcrumb(type, data = {}) {
+    this.breadcrumbs.push({ type, timestamp: Date.now(), ...data });
+  }
+
+  handleError(event) {
+    this.captureException(event.error || { name: 'Error', message: event.message }, {
+      source: 'onerror',
+      // Without event.error (cross-origin, old browsers) the event has the location
+      frames: event.error ? undefined : [{
+        function: '<unknown>',
+        file: normalizeFile(event.filename || ''),
+        line: event.lineno,
+        column: event.colno
+      }]
+    });
+  }
+
+  handleRejection(event) {
+    this.captureException(event.reason, { source: 'unhandledrejection' });
+  }
+
+  // source: 'boundary', 'onerror', 'unhandledrejection' or 'manual'.
+  // Returns the fingerprint, or null when the error wasn't reported.
+  captureException(value, { source = 'manual', scope, componentStack, frames: knownFrames, tags } = {}) {
+    const isObject = Boolean(value) && typeof value === 'object';
+    // report: the buffered report, when this capture sent one
+    const remember = (fingerprint, report = null) => {
+      if (isObject) this.captured.set(value, { fingerprint, report });
+      return fingerprint;
+    };
+
+    if (isObject && this.captured.has(value)) {
+      const { fingerprint, report } = this.captured.get(value);
+      // Changes nothing once the batch has been sent
+      if (report && source === 'boundary') {
+        Object.assign(report, {
+          source,
+          handled: true,
+          scope,
+          componentStack: componentStack ? componentStack.trim() : undefined
+        });
+      }
+      return fingerprint;
+    }
+
+    const error = normalizeError(value);
+    if (this.options.ignore.some(pattern => pattern.test(error.message))) return remember(null);
+
+    const frames = knownFrames || parseStack(error.stack);
+    const fingerprint = getFingerprint(error, frames);
+
+    const now = Date.now();
+    const seen = this.seen.get(fingerprint);
+    if (seen && now - seen.reportedAt < this.options.dedupeInterval) {
+      seen.repeats++;
+      return remember(fingerprint);
+    }
+    if (this.reportCount >= this.options.maxReports) return remember(fingerprint);
+
+    // Count includes repeats swallowed since the previous report
+    const count = 1 + (seen ? seen.repeats : 0);
+    this.seen.set(fingerprint, { reportedAt: now, repeats: 0 });
+    this.reportCount++;
+
+    const report = this.reporter.report('Error', count, {
+      id: `Error:${fingerprint}`,
+      fingerprint,
+      type: error.name,
+      message: error.message,
+      source,
+      handled: source === 'boundary' || source === 'manual',
+      scope,
+      frames,
+      componentStack: componentStack ? componentStack.trim() : undefined,
+      breadcrumbs: this.breadcrumbs.toArray(),
+      tags
+    });
+    return remember(fingerprint, report);
+  }
+
+  flush(options) {
+    return this.reporter.flush(options);
+  }
+}
+
+export const errorReporter = new ErrorReporter();
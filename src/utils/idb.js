@@ -0,0 +1,41 @@
+// Small promise helpers around IndexedDB
+
+export const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+// Opens a database, running `upgrade(db, oldVersion, transaction)` when needed
+export const openDatabase = (factory, name, version, upgrade) =>
+  new Promise((resolve, reject) => {
+    const request = factory.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      upgrade(request.result, event.oldVersion, request.transaction);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database "${name}" upgrade blocked`));
+  });
+
+// Calls `visit(cursor)` for every record; return false to stop early
+export const iterateCursor = (request, visit) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || visit(cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
@@ -0,0 +1,295 @@
+// Image CDN adapters: turn an image URL plus resize options into a CDN URL
+//
+// Options are the same for every adapter:
+//   width, height  target size in CSS pixels
+//   dpr            device pixel ratio (1-4), multiplies width and height
+//   quality        1-100
+//   format         'auto' (content negotiation), 'avif', 'webp', 'jpeg', 'png'
+//   fit            'cover', 'contain', 'fill' (stretch), 'scale-down'
+//   crop           where 'cover' crops from: 'center', 'top', 'bottom',
+//                  'left', 'right', 'faces', 'auto' (smart/entropy)
+// An adapter lists the values it supports; anything else throws, so a typo or
+// an option the CDN can't honour shows up in development instead of serving
+// the wrong image.
+//
+// Which adapter handles an image depends on its origin (configureImageCdn).
+
+const isBrowser = typeof window !== 'undefined';
+
+const OPTION_NAMES = ['width', 'height', 'dpr', 'quality', 'format', 'fit', 'crop'];
+
+const FORMATS = ['auto', 'avif', 'webp', 'jpeg', 'png'];
+const FITS = ['cover', 'contain', 'fill', 'scale-down'];
+const CROPS = ['center', 'top', 'bottom', 'left', 'right', 'faces', 'auto'];
+
+const scale = (size, dpr) => (size ? Math.round(size * dpr) : undefined);
+
+const trimSlash = value => value.replace(/\/+$/, '');
+
+// imgix: query parameters on the imgix source domain
+// https://docs.imgix.com/apis/rendering
+const IMGIX_FITS = { cover: 'crop', contain: 'clip', fill: 'scale', 'scale-down': 'max' };
+const IMGIX_CROPS = { top: 'top', bottom: 'bottom', left: 'left', right: 'right', faces: 'faces', auto: 'entropy' };
+
+const imgix = {
+  name: 'imgix',
+  supports: { format: FORMATS, fit: FITS, crop: CROPS },
+  defaults: { format: 'auto' },
+  // baseUrl: the imgix source, e.g. https://example.imgix.net. Web folder
+  // sources map paths 1:1, so only the origin changes.
+  buildUrl(url, { width, height, dpr, quality, format, fit, crop }, { baseUrl }) {
+    const result = baseUrl ? new URL(`${url.pathname}${url.search}`, baseUrl) : new URL(url);
+    const set = (name, value) => {
+      if (value !== undefined) result.searchParams.set(name, value);
+    };
+
+    set('w', width);
+    set('h', height);
+    set('dpr', dpr !== 1 ? dpr : undefined);
+    set('q', quality);
+    if (format === 'auto') {
+      set('auto', 'format');
+    } else {
+      set('fm', format === 'jpeg' ? 'jpg' : format);
+    }
+    set('fit', fit && IMGIX_FITS[fit]);
+    if (fit === 'cover') set('crop', crop && IMGIX_CROPS[crop]);
+    return result.href;
+  }
+};
+
+// Cloudinary: comma-separated transformations in the path. Images already on
+// Cloudinary get them after /upload/; others go through the fetch API.
+// https://cloudinary.com/documentation/transformation_reference
+const CLOUDINARY_FITS = { cover: 'fill', contain: 'fit', fill: 'scale', 'scale-down': 'limit' };
+const CLOUDINARY_CROPS = {
+  center: 'center',
+  top: 'north',
+  bottom: 'south',
+  left: 'west',
+  right: 'east',
+  faces: 'faces',
+  auto: 'auto'
+};
+const CLOUDINARY_FORMATS = { auto: 'auto', avif: 'avif', webp: 'webp', jpeg: 'jpg', png: 'png' };
+
+const cloudinary = {
+  name: 'cloudinary',
+  supports: { format: FORMATS, fit: FITS, crop: CROPS },
+  defaults: { format: 'auto' },
+  // baseUrl: https://res.cloudinary.com/<cloud name>
+  buildUrl(url, { width, height, dpr, quality, format, fit, crop }, { baseUrl }) {
+    const transforms = [
+      fit && `c_${CLOUDINARY_FITS[fit]}`,
+      fit === 'cover' && crop && `g_${CLOUDINARY_CROPS[crop]}`,
+      width && `w_${width}`,
+      height && `h_${height}`,
+      dpr !== 1 && `dpr_${dpr}`,
+      quality && `q_${quality}`,
+      format && `f_${CLOUDINARY_FORMATS[format]}`
+    ].filter(Boolean).join(',');
+
+    const uploadIndex = url.pathname.indexOf('/image/upload/');
+    if (url.hostname === 'res.cloudinary.com' && uploadIndex !== -1) {
+      const prefix = url.pathname.slice(0, uploadIndex + '/image/upload/'.length);
+      const rest = url.pathname.slice(prefix.length);
+      return `${url.origin}${prefix}${transforms ? `${transforms}/` : ''}${rest}${url.search}`;
+    }
+
+    if (!baseUrl) {
+      throw new Error('The cloudinary adapter needs baseUrl (https://res.cloudinary.com/<cloud name>)');
+    }
+    return `${trimSlash(baseUrl)}/image/fetch/${transforms ? `${transforms}/` : ''}${encodeURIComponent(url.href)}`;
+  }
+};
+
+// Thumbor: /<signature>/[fit-in/]WxH/[halign/valign|smart/]filters:.../<image>
+// https://thumbor.readthedocs.io/en/latest/usage.html
+// Signing needs the server's key, so it belongs on a server: pass sign(path),
+// returning the signature synchronously, or URLs are built as /unsafe/.
+const THUMBOR_HALIGN = { left: 'left', right: 'right' };
+const THUMBOR_VALIGN = { top: 'top', bottom: 'bottom' };
+
+const thumbor = {
+  name: 'thumbor',
+  // Format negotiation (AUTO_WEBP) is a server setting, not a URL option
+  supports: { format: ['avif', 'webp', 'jpeg', 'png'], fit: FITS, crop: CROPS },
+  defaults: {},
+  buildUrl(url, { width, height, dpr, quality, format, fit, crop }, { baseUrl, sign }) {
+    if (!baseUrl) {
+      throw new Error('The thumbor adapter needs baseUrl (the Thumbor server)');
+    }
+
+    const filters = [
+      quality && `quality(${quality})`,
+      format && `format(${format})`,
+      fit === 'fill' && 'stretch()',
+      fit === 'scale-down' && 'no_upscale()'
+    ].filter(Boolean);
+
+    const parts = [
+      fit && fit !== 'cover' && 'fit-in',
+      (width || height) && `${scale(width, dpr) || 0}x${scale(height, dpr) || 0}`,
+      fit === 'cover' && THUMBOR_HALIGN[crop],
+      fit === 'cover' && THUMBOR_VALIGN[crop],
+      fit === 'cover' && (crop === 'faces' || crop === 'auto') && 'smart',
+      filters.length > 0 && `filters:${filters.join(':')}`,
+      encodeURIComponent(url.href)
+    ].filter(Boolean).join('/');
+
+    return `${trimSlash(baseUrl)}/${sign ? sign(parts) : 'unsafe'}/${parts}`;
+  }
+};
+
+// Cloudflare Images transformations: /cdn-cgi/image/<options>/<source>
+// https://developers.cloudflare.com/images/transform-images/transform-via-url/
+const CLOUDFLARE_GRAVITY = {
+  center: '0.5x0.5',
+  top: 'top',
+  bottom: 'bottom',
+  left: 'left',
+  right: 'right',
+  faces: 'face',
+  auto: 'auto'
+};
+
+const cloudflare = {
+  name: 'cloudflare',
+  // No "stretch" fit and no PNG output
+  supports: {
+    format: ['auto', 'avif', 'webp', 'jpeg'],
+    fit: ['cover', 'contain', 'scale-down'],
+    crop: CROPS
+  },
+  defaults: { format: 'auto' },
+  // baseUrl: the Cloudflare zone serving the transformations; defaults to the image's origin
+  buildUrl(url, { width, height, dpr, quality, format, fit, crop }, { baseUrl }) {
+    const zone = new URL(baseUrl || url.origin);
+    const options = [
+      width && `width=${width}`,
+      height && `height=${height}`,
+      dpr !== 1 && `dpr=${dpr}`,
+      quality && `quality=${quality}`,
+      format && `format=${format}`,
+      fit && `fit=${fit}`,
+      fit === 'cover' && crop && `gravity=${CLOUDFLARE_GRAVITY[crop]}`
+    ].filter(Boolean).join(',');
+
+    // Images in the same zone are referenced by path
+    const source = url.origin === zone.origin ? `${url.pathname}${url.search}` : `/${url.href}`;
+    return `${zone.origin}/cdn-cgi/image/${options || 'format=auto'}${source}`;
+  }
+};
+
+// No CDN: the URL is returned as is, whatever the options. Used by default
+// and in development.
+const local = {
+  name: 'local',
+  passthrough: true,
+  supports: { format: FORMATS, fit: FITS, crop: CROPS },
+  defaults: {},
+  buildUrl: url => url.href
+};
+
+const adapters = new Map();
+
+// Adapters: { name, supports: { format, fit, crop }, defaults, buildUrl(url, options, settings) }
+export const registerImageAdapter = (adapter) => {
+  adapters.set(adapter.name, adapter);
+};
+
+[imgix, cloudinary, thumbor, cloudflare, local].forEach(registerImageAdapter);
+
+export const getImageAdapter = (name) => {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown image adapter "${name}"`);
+  }
+  return adapter;
+};
+
+const DEFAULT_CONFIG = {
+  // For origins without an entry below, including same-origin images
+  default: {
+    adapter: import.meta.env.VITE_IMAGE_CDN || 'local',
+    baseUrl: import.meta.env.VITE_IMAGE_CDN_URL
+  },
+  // { 'https://images.example.com': { adapter: 'imgix', baseUrl: 'https://example.imgix.net' } }
+  origins: {},
+  // Applied before each adapter's own defaults and the call's options
+  defaults: { quality: 80 }
+};
+
+let config = DEFAULT_CONFIG;
+
+export const configureImageCdn = (options = {}) => {
+  config = {
+    default: { ...config.default, ...options.default },
+    origins: { ...config.origins, ...options.origins },
+    defaults: { ...config.defaults, ...options.defaults }
+  };
+};
+
+const resolveUrl = url =>
+  new URL(url, isBrowser ? window.location.href : 'http://localhost/');
+
+// The adapter and its settings for an image URL
+export const getImageCdn = (url) => {
+  const { origin } = resolveUrl(url);
+  const { adapter, ...settings } = config.origins[origin] || config.default;
+  return { adapter: getImageAdapter(adapter), settings };
+};
+
+const checkNumber = (name, value, min, max) => {
+  if (value === undefined) return;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new RangeError(`Image option ${name} must be a number from ${min} to ${max}, got ${value}`);
+  }
+};
+
+const checkSupported = (adapter, name, value) => {
+  if (value === undefined) return;
+  if (!adapter.supports[name].includes(value)) {
+    throw new RangeError(
+      `The ${adapter.name} adapter does not support ${name} "${value}" (supported: ${adapter.supports[name].join(', ')})`
+    );
+  }
+};
+
+export const validateImageOptions = (adapter, options) => {
+  Object.keys(options).forEach((name) => {
+    if (!OPTION_NAMES.includes(name)) {
+      throw new TypeError(`Unknown image option "${name}"`);
+    }
+  });
+
+  checkNumber('width', options.width, 1, 10000);
+  checkNumber('height', options.height, 1, 10000);
+  checkNumber('quality', options.quality, 1, 100);
+  checkNumber('dpr', options.dpr, 1, 4);
+  checkSupported(adapter, 'format', options.format);
+  checkSupported(adapter, 'fit', options.fit);
+  checkSupported(adapter, 'crop', options.crop);
+  if (options.crop !== undefined && options.fit !== 'cover') {
+    throw new RangeError('Image option crop only applies with fit "cover"');
+  }
+};
+
+// Options merged with the defaults, validated, undefined values dropped
+export const resolveImageOptions = (adapter, settings, options = {}) => {
+  const merged = { ...config.defaults, ...adapter.defaults, ...settings.defaults, ...options };
+  const resolved = Object.fromEntries(
+    Object.entries(merged).filter(([, value]) => value !== undefined)
+  );
+
+  validateImageOptions(adapter, resolved);
+  return { dpr: 1, ...resolved };
+};
+
+export const buildImageUrl = (url, options = {}) => {
+  const { adapter, settings } = getImageCdn(url);
+  const resolved = resolveImageOptions(adapter, settings, options);
+  // Leave relative URLs relative when nothing changes
+  if (adapter.passthrough) return url;
+  return adapter.buildUrl(resolveUrl(url), resolved, settings);
+};
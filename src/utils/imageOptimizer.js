@@ -1,95 +1,138 @@
 // Image optimization utilities
+import { buildImageUrl, getImageCdn } from './imageCdn';
+import { SRCSET_WIDTHS } from './imageSizes';
 
-export const getOptimizedImageUrl = (url, options = {}) => {
-  const {
-    width,
-    height,
-    quality = 80,
-    format = 'webp'
-  } = options;
-  
-  // In production, this would integrate with an image CDN
-  // For now, return the original URL with query params
-  const params = new URLSearchParams();
-  if (width) params.append('w', width);
-  if (height) params.append('h', height);
-  params.append('q', quality);
-  params.append('fm', format);
-  
-  return `${url}?${params.toString()}`;
-};
+export { SRCSET_WIDTHS };
+
+// Resized/converted URL from the CDN adapter configured for the image's origin
+// (see imageCdn.js); options: width, height, dpr, quality, format, fit, crop
+export const getOptimizedImageUrl = (url, options = {}) => buildImageUrl(url, options);
+
+// One IntersectionObserver for every lazily loaded image on the page
+const LAZY_ROOT_MARGIN = '200px 0px';
+const lazyCallbacks = new Map();
+let lazyObserver = null;
 
-// Lazy load images with Intersection Observer
-export const lazyLoadImages = () => {
-  const images = document.querySelectorAll('img[data-src]');
-  
-  const imageObserver = new IntersectionObserver((entries, observer) => {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) {
-        const img = entry.target;
-        
-        // Load the image
-        img.src = img.dataset.src;
-        
-        // Add srcset if available
-        if (img.dataset.srcset) {
-          img.srcset = img.dataset.srcset;
-        }
-        
-        // Clean up
-        img.removeAttribute('data-src');
-        img.removeAttribute('data-srcset');
-        img.classList.add('loaded');
-        
-        observer.unobserve(img);
-      }
+const getLazyObserver = () => {
+  if (!lazyObserver) {
+    lazyObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        const callback = lazyCallbacks.get(entry.target);
+        unobserveImage(entry.target);
+        if (callback) callback(entry.target);
+      });
+    }, {
+      rootMargin: LAZY_ROOT_MARGIN,
+      threshold: 0.01
     });
-  }, {
-    rootMargin: '50px 0px',
-    threshold: 0.01
-  });
-  
-  images.forEach(img => imageObserver.observe(img));
-  
-  return imageObserver;
+  }
+  return lazyObserver;
+};
+
+const unobserveImage = (element) => {
+  lazyCallbacks.delete(element);
+  if (lazyObserver) lazyObserver.unobserve(element);
+};
+
+// Call onVisible(element) once when it comes near the viewport. Returns a
+// function that stops watching. Without IntersectionObserver it fires at once.
+export const observeImage = (element, onVisible) => {
+  if (typeof IntersectionObserver === 'undefined') {
+    onVisible(element);
+    return () => {};
+  }
+  lazyCallbacks.set(element, onVisible);
+  getLazyObserver().observe(element);
+  return () => unobserveImage(element);
+};
+
+// Lazy load <img data-src> markup rendered outside React; call again after
+// adding more. React components should use <OptimizedImage> instead.
+// Returns a function that stops watching these images.
+export const lazyLoadImages = (root = document) => {
+  const images = Array.from(root.querySelectorAll('img[data-src]'));
+
+  const stops = images.map(img => observeImage(img, () => {
+    img.src = img.dataset.src;
+
+    // Add srcset if available
+    if (img.dataset.srcset) {
+      img.srcset = img.dataset.srcset;
+    }
+
+    // Clean up
+    img.removeAttribute('data-src');
+    img.removeAttribute('data-srcset');
+    img.classList.add('loaded');
+  }));
+
+  return () => stops.forEach(stop => stop());
 };
 
-// Generate responsive image srcset
-export const generateSrcSet = (baseUrl, sizes = [320, 640, 960, 1280, 1920]) => {
+// Generate responsive image srcset. Empty when the image's adapter can't
+// resize (local), since every candidate would be the same file.
+export const generateSrcSet = (baseUrl, sizes = SRCSET_WIDTHS, options = {}) => {
+  if (getImageCdn(baseUrl).adapter.passthrough) return '';
   return sizes
-    .map(size => `${getOptimizedImageUrl(baseUrl, { width: size })} ${size}w`)
+    .map(size => `${getOptimizedImageUrl(baseUrl, { ...options, width: size })} ${size}w`)
     .join(', ');
 };
 
-// Preload critical images
-export const preloadImage = (url) => {
+const preloaded = new Set();
+
+// Preload critical images, once per URL. Pass srcset/sizes so the browser
+// picks the same candidate the <img> will, and type so browsers that can't
+// decode the format skip it.
+export const preloadImage = (url, { srcset, sizes, type, fetchPriority } = {}) => {
+  const key = srcset || url;
+  if (preloaded.has(key)) return;
+  preloaded.add(key);
+
   const link = document.createElement('link');
   link.rel = 'preload';
   link.as = 'image';
   link.href = url;
+  if (srcset) link.setAttribute('imagesrcset', srcset);
+  if (sizes) link.setAttribute('imagesizes', sizes);
+  if (type) link.type = type;
+  if (fetchPriority) link.setAttribute('fetchpriority', fetchPriority);
   document.head.appendChild(link);
 };
 
-// Convert images to WebP format with fallback
-export const createPictureElement = (src, alt, sizes) => {
-  const sources = [
-    {
-      srcset: generateSrcSet(src),
-      type: 'image/webp'
-    },
-    {
-      srcset: src,
-      type: 'image/jpeg'
-    }
-  ];
-  
+// <picture> props: AVIF and WebP sources where the adapter can produce them,
+// and an <img> in the fallback format. Options: widths, plus image options.
+export const createPictureElement = (src, alt, sizes, options = {}) => {
+  const { widths = SRCSET_WIDTHS, format: fallbackFormat = 'jpeg', ...imageOptions } = options;
+  const { adapter } = getImageCdn(src);
+  const img = {
+    src,
+    alt,
+    sizes: sizes || '100vw',
+    loading: 'lazy'
+  };
+
+  if (adapter.passthrough) {
+    return { sources: [], img };
+  }
+
+  const sources = ['avif', 'webp']
+    .filter(format => adapter.supports.format.includes(format))
+    .map(format => ({
+      srcset: generateSrcSet(src, widths, { ...imageOptions, format }),
+      type: `image/${format}`
+    }));
+
   return {
     sources,
     img: {
-      src,
-      alt,
-      sizes: sizes || '100vw',
-      loading: 'lazy'
+      ...img,
+      src: getOptimizedImageUrl(src, {
+        ...imageOptions,
+        width: widths[widths.length - 1],
+        format: fallbackFormat
+      }),
+      srcset: generateSrcSet(src, widths, { ...imageOptions, format: fallbackFormat })
     }
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { configureImageCdn } from './imageCdn';
+import { createPictureElement, generateSrcSet, getOptimizedImageUrl } from './imageOptimizer';
+
+describe('createPictureElement', () => {
+  it('serves the original only with the default local adapter', () => {
+    expect(getOptimizedImageUrl('/images/team.jpg', { width: 640 })).toBe('/images/team.jpg');
+    expect(generateSrcSet('/images/team.jpg')).toBe('');
+
+    const { sources, img } = createPictureElement('/images/team.jpg', 'Our team');
+    expect(sources).toEqual([]);
+    expect(img.src).toBe('/images/team.jpg');
+    expect(img.srcset).toBeUndefined();
+  });
+
+  it('adds resized sources for origins with a CDN adapter', () => {
+    configureImageCdn({
+      origins: { 'https://images.example.com': { adapter: 'imgix', baseUrl: 'https://example.imgix.net' } }
+    });
+
+    const { sources, img } = createPictureElement('https://images.example.com/team.jpg', 'Our team', '50vw', {
+      widths: [320, 640]
+    });
+    expect(sources.map(source => source.type)).toEqual(['image/avif', 'image/webp']);
+    expect(sources[0].srcset).toBe(
+      'https://example.imgix.net/team.jpg?w=320&q=80&fm=avif 320w, https://example.imgix.net/team.jpg?w=640&q=80&fm=avif 640w'
+    );
+    expect(img.src).toBe('https://example.imgix.net/team.jpg?w=640&q=80&fm=jpg');
+    expect(img.sizes).toBe('50vw');
+  });
+});
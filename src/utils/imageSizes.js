@@ -0,0 +1,3 @@
+// Shared by the image helpers (imageOptimizer.js) and the build-time image
+// plugin (plugins/responsiveImages.js), so both produce the same candidates
+export const SRCSET_WIDTHS = [320, 640, 960, 1280, 1920];
@@ -0,0 +1,181 @@
+// Lazy chunk loading that survives flaky networks and deploys
+//
+// A failed chunk import is retried with backoff. If it still fails while the
+// browser is online, the chunk most likely belongs to a previous build that is
+// no longer on the server (the tab was opened before a deploy). The page then
+// switches to the new build once: through the waiting service worker when
+// there is one, otherwise with a reload. A timestamp in sessionStorage stops a
+// broken deploy from reloading in a loop; the error then reaches the nearest
+// ErrorBoundary, which tells chunk errors apart from bugs.
+import React, { forwardRef, lazy } from 'react';
+import { performanceMonitor } from './performanceMonitor';
+import { getUpdateState, applyUpdate } from './serviceWorker';
+
+const RELOAD_STORAGE_KEY = 'jibril-chunk-reload';
+
+const DEFAULT_OPTIONS = {
+  retries: 2,
+  // Doubles after each attempt
+  retryDelay: 500,
+  // No second automatic reload within this long of the previous one
+  reloadGuard: 60000
+};
+
+// What a failed import() looks like in each browser and in Vite's preload helper
+const CHUNK_ERROR_PATTERNS = [
+  /Failed to fetch dynamically imported module/i, // Chromium
+  /error loading dynamically imported module/i, // Firefox
+  /Importing a module script failed/i, // Safari
+  /Unable to preload CSS/i, // Vite
+  /Loading (CSS )?chunk .+ failed/i
+];
+
+export const isChunkLoadError = error =>
+  Boolean(error) &&
+  (error.name === 'ChunkLoadError' ||
+    CHUNK_ERROR_PATTERNS.some(pattern => pattern.test(error.message || '')));
+
+// Chromium and Firefox put the chunk URL in the message; Vite's CSS error a path
+const getChunkUrl = (error) => {
+  const match = /((?:https?:\/\/|\/)[^\s'"]+\.(?:m?js|css))/.exec(error.message || '');
+  return match ? new URL(match[1], window.location.href).href : null;
+};
+
+const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// A chunk that is missing, or answered by the SPA's index.html fallback, is
+// from an older build. Without a URL to check, failing while online is enough.
+const isStaleDeployment = async (url) => {
+  if (isOffline()) return false;
+  if (!url) return true;
+
+  try {
+    const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+    const type = response.headers.get('Content-Type') || '';
+    return !response.ok || type.includes('text/html');
+  } catch (e) {
+    // Unreachable server: a network problem, not a deploy
+    return false;
+  }
+};
+
+const claimReload = (guard) => {
+  try {
+    const last = Number(sessionStorage.getItem(RELOAD_STORAGE_KEY));
+    if (last && Date.now() - last < guard) return false;
+    sessionStorage.setItem(RELOAD_STORAGE_KEY, String(Date.now()));
+    return true;
+  } catch (e) {
+    // Without storage a reload loop can't be ruled out
+    return false;
+  }
+};
+
+// The waiting worker has the new build precached and reloads once it controls the page
+const getRecovery = () => (getUpdateState().updateAvailable ? 'sw-update' : 'reload');
+
+const switchToNewBuild = (recovery) => {
+  if (recovery === 'sw-update') {
+    applyUpdate();
+  } else {
+    window.location.reload();
+  }
+};
+
+// Import the chunk again. loader() goes through Vite's preload helper, which
+// also loads the chunk's CSS; if the browser then hands back the import it
+// remembers as failed, the chunk is imported again under a new URL.
+const retryImport = (loader, attempt) =>
+  loader().catch((error) => {
+    const url = isChunkLoadError(error) && getChunkUrl(error);
+    if (!url || !/\.m?js$/.test(url)) throw error;
+    return import(/* @vite-ignore */ `${url}?retry=${attempt}`);
+  });
+
+// loader() with retries and stale-deployment recovery. Import errors that
+// aren't chunk failures (the module threw while evaluating) are not retried.
+export const loadWithRetry = async (loader, options = {}) => {
+  const { name = 'chunk', retries, retryDelay, reloadGuard } = { ...DEFAULT_OPTIONS, ...options };
+  let lastError = null;
+  let failures = 0;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      if (attempt > 0) await wait(retryDelay * 2 ** (attempt - 1));
+
+      const module = attempt > 0 ? await retryImport(loader, attempt) : await loader();
+
+      if (attempt > 0) {
+        performanceMonitor.reportMetric('ChunkLoadRetry', attempt, { id: `ChunkLoadRetry:${name}`, chunk: name });
+      }
+      return module;
+    } catch (error) {
+      if (!isChunkLoadError(error)) throw error;
+      lastError = error;
+      failures++;
+      // Safari's message has no URL, and calling loader() again only hands
+      // back the same failed import: go straight to the stale-deployment check
+      if (!getChunkUrl(error)) break;
+    }
+  }
+
+  const url = getChunkUrl(lastError);
+  const stale = await isStaleDeployment(url);
+  const recovery = stale && claimReload(reloadGuard) ? getRecovery() : null;
+
+  performanceMonitor.reportMetric('ChunkLoadError', failures, {
+    id: `ChunkLoadError:${name}`,
+    chunk: name,
+    url,
+    message: lastError.message,
+    offline: isOffline(),
+    stale,
+    recovery
+  });
+
+  if (recovery) {
+    switchToNewBuild(recovery);
+    // Keep the Suspense fallback up while the page is replaced
+    return new Promise(() => {});
+  }
+
+  lastError.staleDeployment = stale;
+  throw lastError;
+};
+
+// Bumped by retryFailedChunks; a failed lazy component only loads again once
+// this has changed, not when React re-renders after the error on its own
+let retryGeneration = 0;
+
+// Let failed lazy components load again on their next render. ErrorBoundary
+// calls this when it is reset after a chunk error.
+export const retryFailedChunks = () => {
+  retryGeneration++;
+};
+
+// React.lazy with loadWithRetry. React.lazy remembers a rejection for good, so
+// after retryFailedChunks a failed load is replaced by a new lazy component.
+export const lazyWithRetry = (loader, options = {}) => {
+  let Lazy = null;
+  let failedGeneration = null;
+
+  const createLazy = () => lazy(() =>
+    loadWithRetry(loader, options).catch((error) => {
+      failedGeneration = retryGeneration;
+      throw error;
+    })
+  );
+
+  const LazyWithRetry = forwardRef((props, ref) => {
+    if (!Lazy || (failedGeneration !== null && failedGeneration !== retryGeneration)) {
+      Lazy = createLazy();
+      failedGeneration = null;
+    }
+    return React.createElement(Lazy, { ...props, ref });
+  });
+
+  LazyWithRetry.displayName = `LazyWithRetry(${options.name || 'Component'})`;
+  return LazyWithRetry;
+};
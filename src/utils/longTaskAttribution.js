@@ -0,0 +1,163 @@
+// Long task and Long Animation Frame attribution
+//
+// A longtask entry only says the main thread was blocked. Long Animation
+// Frames (LoAF, Chromium 123+) also list the scripts that ran during the frame:
+// source URL, function name and what invoked them (event listener, timer,
+// promise...). Both kinds of records are tagged with the route and the user
+// interaction active at the time, and scripts are aggregated into "offenders"
+// keyed by source location.
+import { describeElement } from './describeElement';
+
+export const LONG_FRAME_SUPPORTED =
+  typeof PerformanceObserver !== 'undefined' &&
+  (PerformanceObserver.supportedEntryTypes || []).includes('long-animation-frame');
+
+// From an Event Timing entry with an interactionId
+export const toInteractionRecord = entry => ({
+  id: entry.interactionId,
+  type: entry.name,
+  target: describeElement(entry.target),
+  startTime: entry.startTime,
+  duration: entry.duration
+});
+
+const overlaps = (a, b) =>
+  a.startTime < b.startTime + b.duration && b.startTime < a.startTime + a.duration;
+
+const summarizeInteraction = ({ id, type, target }) => ({ id, type, target });
+
+// The interaction whose processing or presentation overlapped `record`
+export const findInteraction = (interactions, record) => {
+  let match = null;
+  interactions.forEachReverse((interaction) => {
+    if (!overlaps(interaction, record)) return true;
+    match = summarizeInteraction(interaction);
+    return false;
+  });
+  return match;
+};
+
+// Event entries can arrive after the tasks they caused; fill those in.
+// Calls onMatch(record) for every record that got an interaction.
+export const attributeInteraction = (records, interaction, onMatch) => {
+  records.forEachReverse((record) => {
+    if (record.startTime + record.duration < interaction.startTime) return false;
+    if (!record.interaction && overlaps(interaction, record)) {
+      record.interaction = summarizeInteraction(interaction);
+      onMatch(record);
+    }
+    return true;
+  });
+};
+
+export const toLongTaskRecord = (entry, context) => {
+  // Only blocking work from iframes and other embeds gets a container
+  const container = (entry.attribution || []).find(item => item.containerType && item.containerType !== 'window');
+  return {
+    startTime: entry.startTime,
+    duration: entry.duration,
+    name: entry.name,
+    container: container
+      ? { type: container.containerType, src: container.containerSrc, name: container.containerName }
+      : null,
+    ...context
+  };
+};
+
+const toScriptRecord = script => ({
+  sourceURL: script.sourceURL,
+  functionName: script.sourceFunctionName,
+  charPosition: script.sourceCharPosition,
+  invoker: script.invoker,
+  invokerType: script.invokerType,
+  startTime: script.startTime,
+  duration: script.duration,
+  forcedStyleAndLayoutDuration: script.forcedStyleAndLayoutDuration
+});
+
+export const toLongFrameRecord = (entry, context) => ({
+  startTime: entry.startTime,
+  duration: entry.duration,
+  blockingDuration: entry.blockingDuration,
+  renderStart: entry.renderStart,
+  styleAndLayoutStart: entry.styleAndLayoutStart,
+  scripts: (entry.scripts || []).map(toScriptRecord),
+  ...context
+});
+
+const getScriptKey = (script) => {
+  if (!script.sourceURL) return script.invoker || 'unknown';
+  return `${script.sourceURL}:${script.functionName || '(anonymous)'}`;
+};
+
+// Without LoAF a long task can only be pinned on an embed, or on the page itself
+const getTaskSource = task => (task.container
+  ? { key: `${task.container.type}:${task.container.src || task.container.name || 'unknown'}`, sourceURL: task.container.src }
+  : { key: 'self', sourceURL: null });
+
+const getOffender = (offenders, key, details) => {
+  if (!offenders.has(key)) {
+    offenders.set(key, {
+      key,
+      ...details,
+      count: 0,
+      totalDuration: 0,
+      maxDuration: 0,
+      interactions: 0,
+      routes: new Set()
+    });
+  }
+  return offenders.get(key);
+};
+
+const addToOffender = (offender, duration, record) => {
+  offender.count++;
+  offender.totalDuration += duration;
+  offender.maxDuration = Math.max(offender.maxDuration, duration);
+  if (record.route) offender.routes.add(record.route);
+  if (record.interaction) offender.interactions++;
+};
+
+export const addFrameOffenders = (offenders, frame) => {
+  frame.scripts.forEach((script) => {
+    const offender = getOffender(offenders, getScriptKey(script), {
+      sourceURL: script.sourceURL,
+      functionName: script.functionName,
+      invoker: script.invoker,
+      invokerType: script.invokerType
+    });
+    addToOffender(offender, script.duration, frame);
+  });
+};
+
+export const addTaskOffender = (offenders, task) => {
+  const { key, sourceURL } = getTaskSource(task);
+  addToOffender(getOffender(offenders, key, { sourceURL }), task.duration, task);
+};
+
+const getRecordKeys = record => (record.scripts
+  ? record.scripts.map(getScriptKey)
+  : [getTaskSource(record).key]);
+
+// A record already counted was later matched to a route or an interaction
+export const reattributeOffenders = (offenders, record, { route, interaction }) => {
+  getRecordKeys(record).forEach((key) => {
+    const offender = offenders.get(key);
+    if (!offender) return;
+    if (route) offender.routes.add(route);
+    if (interaction) offender.interactions++;
+  });
+};
+
+// Worst first, by total time spent
+export const summarizeOffenders = (offenders, limit = Infinity) =>
+  Object.freeze(
+    Array.from(offenders.values(), ({ routes, totalDuration, maxDuration, ...offender }) => Object.freeze({
+      ...offender,
+      totalDuration: Math.round(totalDuration),
+      maxDuration: Math.round(maxDuration),
+      routes: Array.from(routes)
+    }))
+      .sort((a, b) => b.totalDuration - a.totalDuration)
+      .slice(0, limit)
+  );
@@ -0,0 +1,268 @@
+// In-memory LRU cache for runtime data
+
+// Rough byte size of a value (strings are UTF-16, so 2 bytes per character)
+export const estimateSize = (value) => {
+  if (value == null) return 0;
+  if (typeof value === 'string') return value.length * 2;
+  if (typeof value === 'number' || typeof value === 'boolean') return 8;
+  if (value instanceof ArrayBuffer) return value.byteLength;
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+
+  try {
+    return JSON.stringify(value).length * 2;
+  } catch (e) {
+    // Circular or otherwise unserializable values count as one unit
+    return 1;
+  }
+};
+
+const DEFAULT_OPTIONS = {
+  maxSize: 100,
+  ttl: 300000,
+  maxBytes: Infinity,
+  sizeOf: estimateSize,
+  onEvict: null,
+  sweepInterval: 0
+};
+
+export class MemoryCache {
+  // Accepts an options object, or (maxSize, ttl) for backwards compatibility
+  constructor(options = {}, ttl) {
+    const resolved = typeof options === 'number'
+      ? { maxSize: options, ...(ttl !== undefined && { ttl }) }
+      : options;
+
+    this.options = { ...DEFAULT_OPTIONS, ...resolved };
+    this.maxSize = this.options.maxSize;
+    this.ttl = this.options.ttl;
+
+    // Map iteration order is insertion order; re-inserting on access keeps
+    // the least recently used entry first
+    this.cache = new Map();
+    this.inflight = new Map();
+    this.bytes = 0;
+    this.sweepTimer = null;
+    this.resetStats();
+
+    if (this.options.sweepInterval > 0) {
+      this.startSweeping(this.options.sweepInterval);
+    }
+  }
+
+  // set(key, value, { ttl, tags }) or set(key, value, ttl)
+  set(key, value, options = {}) {
+    const { ttl = this.ttl, tags = [] } = typeof options === 'number' ? { ttl: options } : options;
+    const size = this.options.sizeOf(value);
+
+    if (size > this.options.maxBytes) {
+      // Never fits; don't flush the whole cache trying to make room
+      this.delete(key);
+      return false;
+    }
+
+    if (this.cache.has(key)) {
+      this.removeEntry(key);
+    }
+
+    this.cache.set(key, {
+      value,
+      size,
+      tags,
+      expires: ttl === Infinity ? Infinity : Date.now() + ttl
+    });
+    this.bytes += size;
+    this.stats.sets++;
+
+    this.enforceLimits();
+    return true;
+  }
+
+  get(key) {
+    const item = this.cache.get(key);
+
+    if (!item) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (Date.now() > item.expires) {
+      this.evict(key, 'expired');
+      this.stats.misses++;
+      return null;
+    }
+
+    // Mark as most recently used
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    this.stats.hits++;
+
+    return item.value;
+  }
+
+  // Read without updating recency or stats
+  peek(key) {
+    const item = this.cache.get(key);
+    if (!item || Date.now() > item.expires) return null;
+    return item.value;
+  }
+
+  has(key) {
+    const item = this.cache.get(key);
+    if (!item) return false;
+
+    if (Date.now() > item.expires) {
+      this.evict(key, 'expired');
+      return false;
+    }
+    return true;
+  }
+
+  delete(key) {
+    if (!this.cache.has(key)) return false;
+    this.removeEntry(key);
+    return true;
+  }
+
+  // Delete every entry for which predicate(key, value, tags) is true
+  deleteWhere(predicate) {
+    const keys = [];
+
+    this.cache.forEach((item, key) => {
+      if (predicate(key, item.value, item.tags)) keys.push(key);
+    });
+    keys.forEach(key => this.removeEntry(key));
+
+    return keys;
+  }
+
+  // Keys from least to most recently used
+  keys() {
+    return Array.from(this.cache.keys());
+  }
+
+  // Entry metadata (no values) from least to most recently used
+  entries() {
+    return Array.from(this.cache, ([key, item]) => ({
+      key,
+      size: item.size,
+      tags: item.tags,
+      expires: item.expires
+    }));
+  }
+
+  get size() {
+    return this.cache.size;
+  }
+
+  // Returns the cached value, or loads it once even if called concurrently
+  async getOrSet(key, loader, options) {
+    if (this.has(key)) {
+      return this.get(key);
+    }
+    this.stats.misses++;
+
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(() => loader(key))
+      .then(value => {
+        this.set(key, value, options);
+        return value;
+      })
+      .finally(() => {
+        this.inflight.delete(key);
+      });
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  // Remove all expired entries
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    this.cache.forEach((item, key) => {
+      if (now > item.expires) {
+        this.evict(key, 'expired');
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  startSweeping(interval = this.options.sweepInterval) {
+    this.stopSweeping();
+    this.sweepTimer = setInterval(() => this.prune(), interval);
+
+    // Don't keep Node processes (tests, SSR) alive just for sweeping
+    if (typeof this.sweepTimer.unref === 'function') {
+      this.sweepTimer.unref();
+    }
+  }
+
+  stopSweeping() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.cache.size,
+      bytes: this.bytes,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+  }
+
+  clear() {
+    this.cache.clear();
+    this.bytes = 0;
+  }
+
+  enforceLimits() {
+    while (this.cache.size > this.maxSize) {
+      this.evict(this.cache.keys().next().value, 'capacity');
+    }
+    while (this.bytes > this.options.maxBytes && this.cache.size > 0) {
+      this.evict(this.cache.keys().next().value, 'size');
+    }
+  }
+
+  evict(key, reason) {
+    const item = this.cache.get(key);
+    if (!item) return;
+
+    this.removeEntry(key);
+
+    if (reason === 'expired') {
+      this.stats.expirations++;
+    } else {
+      this.stats.evictions++;
+    }
+
+    if (this.options.onEvict) {
+      try {
+        this.options.onEvict(key, item.value, reason);
+      } catch (e) {
+        console.error('Cache eviction callback failed:', e);
+      }
+    }
+  }
+
+  removeEntry(key) {
+    const item = this.cache.get(key);
+    this.bytes -= item.size;
+    this.cache.delete(key);
+  }
+}
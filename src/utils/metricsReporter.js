@@ -0,0 +1,238 @@
+// Metrics reporting pipeline
+//
+// Metrics are buffered and delivered in batches to every registered sink.
+// When the page is hidden the buffer is flushed with `navigator.sendBeacon`
+// so the last batch survives tab close and navigation.
+
+const hasWindow = typeof window !== 'undefined';
+const hasDocument = typeof document !== 'undefined';
+
+const DEFAULT_OPTIONS = {
+  batchSize: 20,
+  flushInterval: 5000,
+  sampleRate: 1,
+  maxRetries: 3,
+  retryDelay: 1000
+};
+
+export class MetricsReporter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sinks = new Set();
+    this.buffer = [];
+    this.flushTimer = null;
+    this.contextProvider = null;
+    this.sampled = Math.random() < this.options.sampleRate;
+
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush({ beacon: true });
+      }
+    };
+    this.handlePageHide = () => this.flush({ beacon: true });
+
+    if (hasDocument) {
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    if (hasWindow) {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+  }
+
+  configure(options = {}) {
+    const previousRate = this.options.sampleRate;
+    this.options = { ...this.options, ...options };
+
+    // Sampling is decided once per page view; re-roll only when the rate changes
+    if (this.options.sampleRate !== previousRate) {
+      this.sampled = Math.random() < this.options.sampleRate;
+    }
+  }
+
+  // Register a sink: { name, send(batch, { beacon }) }
+  register(sink) {
+    if (!sink || typeof sink.send !== 'function') {
+      throw new TypeError('Metrics sink must implement send(batch, options)');
+    }
+    this.sinks.add(sink);
+    return () => this.unregister(sink);
+  }
+
+  unregister(sink) {
+    this.sinks.delete(sink);
+  }
+
+  // Provides context attached to every metric (url, route, network, memory...)
+  setContextProvider(provider) {
+    this.contextProvider = provider;
+  }
+
+  getContext() {
+    const context = {};
+
+    if (hasWindow && window.location) {
+      context.url = window.location.href;
+      context.route = window.location.pathname + window.location.hash;
+    }
+
+    if (this.contextProvider) {
+      try {
+        Object.assign(context, this.contextProvider());
+      } catch (e) {
+        console.warn('Metrics context provider failed:', e);
+      }
+    }
+
+    return context;
+  }
+
+  // Returns the buffered entry, which can still be amended until it's flushed,
+  // or undefined when this page view isn't sampled
+  report(name, value, details = {}) {
+    if (!this.sampled) return undefined;
+
+    const entry = {
+      name,
+      value,
+      ...details,
+      timestamp: Date.now(),
+      context: this.getContext()
+    };
+    this.buffer.push(entry);
+
+    if (this.buffer.length >= this.options.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+    return entry;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+  }
+
+  flush({ beacon = false } = {}) {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.buffer.length === 0) return Promise.resolve();
+
+    const batch = this.buffer;
+    this.buffer = [];
+
+    return Promise.all(
+      Array.from(this.sinks, sink => this.deliver(sink, batch, { beacon }))
+    );
+  }
+
+  async deliver(sink, batch, { beacon, attempt = 0 }) {
+    try {
+      await sink.send(batch, { beacon });
+    } catch (error) {
+      // Beacons are fire-and-forget; the page is going away so don't retry
+      if (beacon || attempt >= this.options.maxRetries) {
+        console.warn(`Metrics sink "${sink.name}" failed:`, error);
+        return;
+      }
+
+      const delay = this.options.retryDelay * 2 ** attempt;
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (this.sinks.has(sink)) {
+        await this.deliver(sink, batch, { beacon, attempt: attempt + 1 });
+      }
+    }
+  }
+
+  disconnect() {
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (hasDocument) {
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    if (hasWindow) {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+  }
+}
+
+// Logs each metric to the console
+export const createConsoleSink = ({ prefix = '[Performance]' } = {}) => ({
+  name: 'console',
+  send(batch) {
+    batch.forEach(metric => {
+      console.log(`${prefix} ${metric.name}:`, metric.value, metric);
+    });
+  }
+});
+
+// Sends each metric as a Google Analytics event
+export const createGtagSink = ({ eventName = 'web_vitals' } = {}) => ({
+  name: 'gtag',
+  send(batch, { beacon }) {
+    if (!hasWindow || typeof window.gtag !== 'function') return;
+
+    batch.forEach(metric => {
+      window.gtag('event', eventName, {
+        event_category: 'Performance',
+        event_label: metric.name,
+        value: Math.round(metric.name === 'CLS' ? metric.value * 1000 : metric.value),
+        metric_rating: metric.rating,
+        non_interaction: true,
+        ...(beacon && { transport_type: 'beacon' })
+      });
+    });
+  }
+});
+
+// POSTs batches as JSON ({ [payloadKey]: batch }) to a collector endpoint
+export const createHttpSink = ({
+  endpoint,
+  headers = {},
+  payloadKey = 'metrics',
+  fetch: fetchImpl
+} = {}) => {
+  if (!endpoint) {
+    throw new TypeError('HTTP metrics sink requires an endpoint');
+  }
+
+  return {
+    name: 'http',
+    async send(batch, { beacon }) {
+      const body = JSON.stringify({ [payloadKey]: batch });
+
+      // sendBeacon can't carry custom headers, so only use it when none are set
+      if (
+        beacon &&
+        Object.keys(headers).length === 0 &&
+        typeof navigator !== 'undefined' &&
+        typeof navigator.sendBeacon === 'function'
+      ) {
+        const queued = navigator.sendBeacon(
+          endpoint,
+          new Blob([body], { type: 'application/json' })
+        );
+        if (queued) return;
+      }
+
+      const response = await (fetchImpl || fetch)(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        keepalive: beacon
+      });
+
+      if (!response.ok) {
+        throw new Error(`Metrics endpoint responded with ${response.status}`);
+      }
+    }
+  };
+};
+
+// Shared reporter instance used by the performance monitor
+export const metricsReporter = new MetricsReporter();
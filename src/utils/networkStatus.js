@@ -0,0 +1,86 @@
+// Online/offline status store
+//
+// navigator.onLine only knows whether there is a network interface; it stays
+// true behind captive portals and dead Wi-Fi. Requests that fail with a network
+// error mark the app offline too, and while offline we probe until the server
+// answers again.
+
+const PROBE_INTERVAL = 30000;
+const PROBE_TIMEOUT = 5000;
+
+const isBrowser = typeof window !== 'undefined';
+
+let status = {
+  online: isBrowser ? navigator.onLine : true,
+  since: Date.now()
+};
+const listeners = new Set();
+let probeTimer = null;
+
+const setOnline = (online) => {
+  if (status.online === online) return;
+
+  status = { online, since: Date.now() };
+  listeners.forEach(listener => listener());
+
+  if (online) stopProbing();
+  else startProbing();
+};
+
+const startProbing = () => {
+  if (probeTimer || !isBrowser) return;
+  probeTimer = setInterval(() => {
+    // The browser reports 'online' itself once an interface comes back
+    if (navigator.onLine) checkConnectivity();
+  }, PROBE_INTERVAL);
+};
+
+const stopProbing = () => {
+  clearInterval(probeTimer);
+  probeTimer = null;
+};
+
+export const subscribeToNetworkStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getNetworkStatus = () => status;
+
+export const isOnline = () => status.online;
+
+// Ask the server directly; resolves to the new online state
+export const checkConnectivity = async (url = '/', timeout = PROBE_TIMEOUT) => {
+  if (isBrowser && !navigator.onLine) {
+    setOnline(false);
+    return false;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    // Any HTTP response, even an error status, means the server is reachable
+    await fetch(url, { method: 'HEAD', cache: 'no-store', signal: controller.signal });
+    setOnline(true);
+    return true;
+  } catch (e) {
+    setOnline(false);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Called by request helpers: a TypeError from fetch() is a network failure
+export const reportNetworkError = (error) => {
+  if (error && error.name === 'TypeError') setOnline(false);
+};
+
+export const reportNetworkSuccess = () => setOnline(true);
+
+if (isBrowser) {
+  window.addEventListener('online', () => setOnline(true));
+  window.addEventListener('offline', () => setOnline(false));
+  if (!status.online) startProbing();
+}
@@ -0,0 +1,398 @@
+// Outbox for writes made while offline
+//
+// Non-GET requests that fail with a network error are stored in IndexedDB and
+// replayed in order: by the service worker through Background Sync where the
+// browser supports it, otherwise by the page when the connection comes back.
+// The page and the worker share this module. Queue changes reach every open
+// tab over a BroadcastChannel; replay results run the callbacks in one tab
+// only: the one that replayed, or the window the worker sends them to.
+import { openDatabase, promisifyRequest, transactionDone } from './idb';
+import { isOnline, reportNetworkError, reportNetworkSuccess } from './networkStatus';
+
+const DB_NAME = 'jibril-outbox';
+const DB_VERSION = 1;
+const STORE = 'requests';
+const CHANNEL_NAME = 'jibril-outbox';
+// Only one context (tab or worker) replays at a time
+const LOCK_NAME = 'jibril-outbox-replay';
+
+export const OUTBOX_SYNC_TAG = 'jibril-outbox-sync';
+
+// The server rejected the write because the resource changed in the meantime
+const CONFLICT_STATUSES = [409, 412];
+
+const isBrowser = typeof window !== 'undefined';
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 5,
+  // onConflict({ entry, response }) and onFailure({ entry, response, error });
+  // `response` is { status, statusText, body } so it can cross contexts
+  onConflict: null,
+  onFailure: null,
+  onReplay: null
+};
+
+const readResponse = async (response) => ({
+  status: response.status,
+  statusText: response.statusText,
+  body: await response.text().catch(() => '')
+});
+
+const toRequestInit = (entry) => ({
+  method: entry.method,
+  headers: entry.headers,
+  body: entry.body,
+  credentials: entry.credentials
+});
+
+export class OfflineQueue {
+  constructor(options = {}) {
+    const {
+      dbName = DB_NAME,
+      syncTag = OUTBOX_SYNC_TAG,
+      indexedDB = globalThis.indexedDB,
+      ...rest
+    } = options;
+
+    this.options = { ...DEFAULT_OPTIONS, ...rest };
+    this.dbName = dbName;
+    this.syncTag = syncTag;
+    this.factory = indexedDB;
+    this.dbPromise = null;
+    this.channel = typeof BroadcastChannel !== 'undefined'
+      ? new BroadcastChannel(CHANNEL_NAME)
+      : null;
+
+    // Store API for useOutbox
+    this.state = { pending: 0, replaying: false };
+    this.listeners = new Set();
+    this.subscribe = this.subscribe.bind(this);
+    this.getState = this.getState.bind(this);
+  }
+
+  get available() {
+    return Boolean(this.factory);
+  }
+
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(this.factory, this.dbName, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(STORE)) {
+          // Auto-incremented ids keep requests in the order they were made
+          db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Store a request for later; accepts the same arguments as fetch()
+  async enqueue(input, init) {
+    if (!this.available) {
+      throw new Error('Offline queue requires IndexedDB');
+    }
+
+    const request = new Request(input, init);
+    const entry = {
+      url: request.url,
+      method: request.method,
+      headers: Array.from(request.headers.entries()),
+      // Bodies are stored as bytes so FormData and Blobs survive too
+      body: await request.arrayBuffer(),
+      credentials: request.credentials,
+      createdAt: Date.now(),
+      attempts: 0
+    };
+
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    entry.id = await promisifyRequest(tx.objectStore(STORE).add(entry));
+    await transactionDone(tx);
+
+    await this.changed();
+    if (!(await this.requestSync()) && isOnline()) {
+      // No Background Sync and the network looks fine: try again right away
+      this.replayInBackground();
+    }
+    return entry;
+  }
+
+  async getAll() {
+    if (!this.available) return [];
+
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(STORE).getAll());
+  }
+
+  async count() {
+    if (!this.available) return 0;
+
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(STORE).count());
+  }
+
+  async remove(id) {
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(id);
+    await transactionDone(tx);
+  }
+
+  async update(entry) {
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put(entry);
+    await transactionDone(tx);
+  }
+
+  async clear() {
+    if (!this.available) return;
+
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await transactionDone(tx);
+    await this.changed();
+  }
+
+  // Send queued requests in order. Resolves to
+  // { replayed, conflicts, failed, remaining, skipped }.
+  async replay() {
+    const locks = globalThis.navigator?.locks;
+    if (!locks) return this.replayQueue();
+
+    const result = await locks.request(LOCK_NAME, { ifAvailable: true }, lock =>
+      (lock ? this.replayQueue() : null)
+    );
+    // Another tab or the worker is already replaying
+    return result || { replayed: 0, conflicts: 0, failed: 0, remaining: await this.count(), skipped: true };
+  }
+
+  // replay() for callers that don't wait on it
+  replayInBackground() {
+    this.replay().catch(error => {
+      console.error('Failed to replay offline queue:', error);
+    });
+  }
+
+  async replayQueue() {
+    const result = { replayed: 0, conflicts: 0, failed: 0, remaining: 0, skipped: false };
+    if (!this.available) return result;
+
+    const entries = await this.getAll();
+    if (entries.length === 0) return result;
+
+    this.setState({ replaying: true });
+
+    try {
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        let response;
+
+        try {
+          response = await fetch(entry.url, toRequestInit(entry));
+        } catch (error) {
+          // Still offline: keep this request and everything queued after it
+          reportNetworkError(error);
+          result.remaining = entries.length - i;
+          break;
+        }
+        reportNetworkSuccess();
+
+        if (response.ok) {
+          await this.remove(entry.id);
+          result.replayed++;
+          await this.emit('replay', { entry, response: await readResponse(response) });
+        } else if (CONFLICT_STATUSES.includes(response.status)) {
+          await this.remove(entry.id);
+          result.conflicts++;
+          await this.emit('conflict', { entry, response: await readResponse(response) });
+        } else if (response.status < 500 || entry.attempts + 1 >= this.options.maxRetries) {
+          // Rejected outright, or the server kept failing: give up on it
+          await this.remove(entry.id);
+          result.failed++;
+          await this.emit('failure', {
+            entry,
+            response: await readResponse(response),
+            error: new Error(`Replay failed with status ${response.status}`)
+          });
+        } else {
+          // Server error: retry later, without reordering later writes past it
+          await this.update({ ...entry, attempts: entry.attempts + 1, lastStatus: response.status });
+          result.remaining = entries.length - i;
+          break;
+        }
+      }
+    } finally {
+      this.setState({ replaying: false });
+      await this.changed();
+    }
+
+    return result;
+  }
+
+  // Ask the service worker to replay once connectivity returns. Resolves to
+  // false when Background Sync isn't available and the page has to do it.
+  async requestSync() {
+    if (!isBrowser || !this.syncSupported) return false;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync.register(this.syncTag);
+      return true;
+    } catch (error) {
+      console.warn('Background Sync registration failed:', error);
+      return false;
+    }
+  }
+
+  get syncSupported() {
+    return isBrowser &&
+      'SyncManager' in window &&
+      Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+  }
+
+  // Pages run the callbacks; the worker has none, so it forwards results to one
+  // of them and a rejected write is reported once however many tabs are open
+  async emit(type, detail) {
+    if (!isBrowser) {
+      await this.postToClient({ type, detail });
+      return;
+    }
+
+    const handler = {
+      replay: this.options.onReplay,
+      conflict: this.options.onConflict,
+      failure: this.options.onFailure
+    }[type];
+
+    if (handler) {
+      // Callbacks may be async; they don't hold up the replay
+      Promise.resolve()
+        .then(() => handler(detail))
+        .catch(e => console.error(`Outbox ${type} callback failed:`, e));
+    } else if (type !== 'replay') {
+      console.warn(`Queued ${detail.entry.method} ${detail.entry.url} was dropped (${type})`);
+    }
+  }
+
+  post(message) {
+    if (this.channel) this.channel.postMessage(message);
+  }
+
+  // Worker side: the focused window, or any open one
+  async postToClient(message) {
+    try {
+      const windows = await self.clients.matchAll({ type: 'window' });
+      const client = windows.find(w => w.focused) || windows[0];
+      if (client) client.postMessage({ source: CHANNEL_NAME, ...message });
+    } catch (error) {
+      console.error('Failed to forward outbox result:', error);
+    }
+  }
+
+  // Refresh the pending count here and in other tabs
+  async changed() {
+    await this.refresh();
+    this.post({ type: 'changed' });
+  }
+
+  async refresh() {
+    try {
+      this.setState({ pending: await this.count() });
+    } catch (error) {
+      console.error('Failed to read offline queue:', error);
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener());
+  }
+
+  // Page side: follow other contexts, run the callbacks for results the worker
+  // sends here, and replay on reconnect when the service worker can't do it
+  // through Background Sync
+  listen() {
+    if (this.channel) {
+      this.channel.addEventListener('message', () => this.refresh());
+    }
+
+    if (navigator.serviceWorker) {
+      navigator.serviceWorker.addEventListener('message', ({ data }) => {
+        if (data && data.source === CHANNEL_NAME) this.emit(data.type, data.detail);
+      });
+    }
+
+    window.addEventListener('online', () => {
+      if (!this.syncSupported) this.replayInBackground();
+    });
+
+    // Requests left over from a previous session
+    this.refresh().then(() => {
+      if (this.state.pending === 0) return;
+      this.requestSync().then(registered => {
+        if (!registered && isOnline()) this.replayInBackground();
+      });
+    });
+  }
+}
+
+export const outbox = new OfflineQueue();
+
+if (isBrowser && outbox.available) {
+  outbox.listen();
+}
+
+const createQueuedResponse = entry =>
+  new Response(null, {
+    status: 202,
+    statusText: 'Queued',
+    headers: { 'X-Outbox-Id': String(entry.id) }
+  });
+
+// Store a write in the outbox; resolves to a 202 response with an X-Outbox-Id header
+export const queueRequest = async (input, init) =>
+  createQueuedResponse(await outbox.enqueue(input, init));
+
+// fetch() for writes: when the network is unreachable the request goes to the
+// outbox and a 202 response with an X-Outbox-Id header is returned instead
+export const fetchOrQueue = async (input, init = {}) => {
+  const request = new Request(input, init);
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    return fetch(request);
+  }
+
+  if (!isOnline()) {
+    return queueRequest(request);
+  }
+
+  // The body can only be read once; keep a copy for the outbox
+  const backup = request.clone();
+  try {
+    const response = await fetch(request);
+    reportNetworkSuccess();
+    return response;
+  } catch (error) {
+    // Aborts and other non-network errors are the caller's to handle
+    if (error.name !== 'TypeError') throw error;
+
+    reportNetworkError(error);
+    return queueRequest(backup);
+  }
+};
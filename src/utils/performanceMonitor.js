@@ -1,170 +1,524 @@
 // Performance monitoring utilities
+import {
+  metricsReporter,
+  createConsoleSink,
+  createGtagSink,
+  createHttpSink
+} from './metricsReporter';
+import { toResourceRecord, createResourceSummary, addResource } from './resourceTiming';
+import { RingBuffer } from './ringBuffer';
+
+// [good, poor] boundaries, matching the targets in the README
+export const METRIC_THRESHOLDS = {
+  FCP: [1800, 3000],
+  LCP: [2500, 4000],
+  INP: [200, 500],
+  CLS: [0.1, 0.25],
+  TTFB: [800, 1800],
+  TTI: [3800, 7300],
+  TBT: [300, 600]
+};
+
+export const getRating = (name, value) => {
+  const thresholds = METRIC_THRESHOLDS[name];
+  if (!thresholds || value == null) return null;
+  if (value <= thresholds[0]) return 'good';
+  if (value <= thresholds[1]) return 'needs-improvement';
+  return 'poor';
+};
+
+// TTI is the end of the last long task before this much main-thread quiet
+const TTI_QUIET_WINDOW = 5000;
+const BLOCKING_THRESHOLD = 50;
+
+// Smallest event duration the Event Timing API can be asked for
+const EVENT_DURATION_THRESHOLD = 16;
+// Components reported from the render profile when the page is hidden
+const PROFILE_REPORT_LIMIT = 10;
+// Most recent entries kept for attribution; older ones are dropped
+const LONG_TASK_BUFFER_SIZE = 200;
+const LONG_FRAME_BUFFER_SIZE = 100;
+const INTERACTION_BUFFER_SIZE = 50;
+const RESOURCE_BUFFER_SIZE = 300;
+// Scripts reported as LongTaskOffender when the page is hidden
+const OFFENDER_REPORT_LIMIT = 5;
+
+const NO_OFFENDERS = Object.freeze([]);
+const NO_ROUTES = Object.freeze([]);
+
+// Parts of the snapshot that notify(...parts) can mark as changed; the others
+// keep their previous objects so selectors on them skip the update
+const SNAPSHOT_PARTS = ['vitals', 'longTasks', 'longFrames', 'longTaskOffenders', 'resources', 'routes'];
 
 class PerformanceMonitor {
   constructor() {
     this.metrics = {
       fcp: null,
       lcp: null,
-      fid: null,
+      inp: null,
       cls: null,
       ttfb: null,
       tti: null,
       tbt: null,
-      longTasks: []
+      longTasks: new RingBuffer(LONG_TASK_BUFFER_SIZE)
     };
     
+    // Latest value, rating and attribution per metric name
+    this.vitals = {};
+    // Metric id -> value last sent. A metric is sent again on a later page hide
+    // only if its value has changed, e.g. INP after returning to the tab.
+    this.emitted = new Map();
+    this.ttiTimer = null;
+    // Resource Timing records, including lazily loaded chunks: totals for all
+    // of them, the records themselves for the most recent ones
+    this.resourceSummary = createResourceSummary();
+    this.resourceEntries = new RingBuffer(RESOURCE_BUFFER_SIZE);
+    
+    // Per-route stats and soft navigation timing (see routeMetrics.js)
+    this.currentRoute = null;
+    this.routeTracker = null;
+    // Calls made before routeMetrics.js loaded; null if it failed to load
+    this.pendingRouteCalls = [];
+    
+    // Long Animation Frames and the interactions and scripts behind long work
+    // (see longTaskAttribution.js)
+    this.attribution = null;
+    this.longFrames = new RingBuffer(LONG_FRAME_BUFFER_SIZE);
+    this.interactions = new RingBuffer(INTERACTION_BUFFER_SIZE);
+    this.offenders = new Map();
+    
+    // Observable store state for React (see usePerformanceMonitor)
+    this.listeners = new Set();
+    this.snapshot = this.createSnapshot(SNAPSHOT_PARTS);
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+    
     this.observers = new Map();
+    this.reporter = metricsReporter;
+    // componentProfiler.js, loaded with the first profiled component
+    this.profiler = null;
+    this.initializeReporter();
     this.initializeObservers();
+    this.initializeFinalization();
+  }
+
+  initializeReporter() {
+    const { VITE_METRICS_ENDPOINT, VITE_METRICS_SAMPLE_RATE } = import.meta.env;
+    
+    if (VITE_METRICS_SAMPLE_RATE) {
+      this.reporter.configure({ sampleRate: Number(VITE_METRICS_SAMPLE_RATE) });
+    }
+    
+    // Attach environment details to every reported metric
+    this.reporter.setContextProvider(() => ({
+      routeName: this.currentRoute,
+      network: this.getNetworkInfo(),
+      memory: this.getMemoryUsage()
+    }));
+    
+    // Log to console in development
+    if (process.env.NODE_ENV === 'development') {
+      this.reporter.register(createConsoleSink());
+    }
+    
+    // Send to analytics in production
+    if (process.env.NODE_ENV === 'production') {
+      this.reporter.register(createGtagSink());
+    }
+    
+    // Send to our own collector when one is configured
+    if (VITE_METRICS_ENDPOINT) {
+      this.reporter.register(createHttpSink({ endpoint: VITE_METRICS_ENDPOINT }));
+    }
   }
   
   initializeObservers() {
-    // First Contentful Paint & Largest Contentful Paint
+    import('./componentProfiler')
+      .then(({ componentProfiler }) => {
+        this.profiler = componentProfiler;
+      })
+      .catch(e => {
+        console.warn('Component profiler could not be loaded:', e);
+      });
+    
+    // Core Web Vitals with attribution, kept in a separate chunk
+    import('./webVitals')
+      .then(({ onFCP, onLCP, onINP, onCLS, onTTFB, summarizeAttribution }) => {
+        const options = { reportAllChanges: true };
+        const handler = metric => this.handleWebVital(metric, summarizeAttribution(metric.name, metric.attribution));
+        
+        onFCP(handler, options);
+        onLCP(handler, options);
+        onINP(handler, options);
+        onCLS(handler, options);
+        onTTFB(handler, options);
+      })
+      .catch(e => {
+        console.warn('Web vitals could not be loaded:', e);
+      });
+    
+    // Attribution and per-route aggregation aren't needed for the first render
+    // either. Their observers start once they have loaded; buffered entries
+    // cover the wait.
+    Promise.all([import('./longTaskAttribution'), import('./routeMetrics')])
+      .then(([attribution, routeMetrics]) => {
+        this.attribution = attribution;
+        this.routeTracker = new routeMetrics.RouteTracker(this);
+        const pending = this.pendingRouteCalls;
+        this.pendingRouteCalls = null;
+        pending.forEach(call => call(this.routeTracker));
+        this.observeMainThread();
+        this.notify('routes');
+      })
+      .catch(e => {
+        this.pendingRouteCalls = null;
+        console.warn('Long task and route metrics could not be loaded:', e);
+      });
+    
+    // Resources, including chunks loaded after the initial page load
     if ('PerformanceObserver' in window) {
       try {
-        // Paint timing
-        const paintObserver = new PerformanceObserver((list) => {
-          for (const entry of list.getEntries()) {
-            if (entry.name === 'first-contentful-paint') {
-              this.metrics.fcp = Math.round(entry.startTime);
-              this.reportMetric('FCP', this.metrics.fcp);
-            }
-          }
+        const resourceObserver = new PerformanceObserver((list) => {
+          list.getEntries().forEach((entry) => {
+            const record = this.resourceEntries.push(toResourceRecord(entry));
+            addResource(this.resourceSummary, record);
+          });
+          this.notify('resources');
         });
-        paintObserver.observe({ entryTypes: ['paint'] });
-        this.observers.set('paint', paintObserver);
-        
-        // Largest Contentful Paint
-        const lcpObserver = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          const lastEntry = entries[entries.length - 1];
-          this.metrics.lcp = Math.round(lastEntry.startTime);
-          this.reportMetric('LCP', this.metrics.lcp);
+        resourceObserver.observe({ type: 'resource', buffered: true });
+        this.observers.set('resource', resourceObserver);
+      } catch (e) {
+        console.warn('Resource timing not supported:', e);
+      }
+    }
+  }
+  
+  // Long Tasks, used for TTI and TBT, and attributed to routes and interactions
+  observeMainThread() {
+    if ('PerformanceObserver' in window) {
+      try {
+        const longTaskObserver = new PerformanceObserver((list) => {
+          list.getEntries().forEach(entry => this.handleLongTask(entry));
+          this.scheduleInteractivityCheck();
+          this.notify('longTasks', 'longTaskOffenders');
         });
-        lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-        this.observers.set('lcp', lcpObserver);
+        longTaskObserver.observe({ type: 'longtask', buffered: true });
+        this.observers.set('longtask', longTaskObserver);
         
-        // First Input Delay
-        const fidObserver = new PerformanceObserver((list) => {
-          const firstInput = list.getEntries()[0];
-          this.metrics.fid = Math.round(firstInput.processingStart - firstInput.startTime);
-          this.reportMetric('FID', this.metrics.fid);
-        });
-        fidObserver.observe({ entryTypes: ['first-input'] });
-        this.observers.set('fid', fidObserver);
+        // Long Animation Frames, with the scripts that ran in them
+        if (this.attribution.LONG_FRAME_SUPPORTED) {
+          const longFrameObserver = new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => this.handleLongFrame(entry));
+            this.notify('longFrames', 'longTaskOffenders');
+          });
+          longFrameObserver.observe({ type: 'long-animation-frame', buffered: true });
+          this.observers.set('long-animation-frame', longFrameObserver);
+        }
         
-        // Layout Shift
-        let clsValue = 0;
-        let clsEntries = [];
-        const clsObserver = new PerformanceObserver((list) => {
-          for (const entry of list.getEntries()) {
-            if (!entry.hadRecentInput) {
-              clsValue += entry.value;
-              clsEntries.push(entry);
-            }
+        // Interactions and layout shifts, aggregated per route
+        const routeEntryObserver = new PerformanceObserver((list) => {
+          let attributed = false;
+          list.getEntries().forEach((entry) => {
+            if (entry.interactionId && this.handleInteraction(entry)) attributed = true;
+            this.routeTracker.handleEntry(entry, this.currentRoute);
+          });
+          if (attributed) {
+            this.notify('routes', 'longTasks', 'longFrames', 'longTaskOffenders');
+          } else {
+            this.notify('routes');
           }
-          this.metrics.cls = clsValue;
-          this.reportMetric('CLS', this.metrics.cls);
         });
-        clsObserver.observe({ entryTypes: ['layout-shift'] });
-        this.observers.set('cls', clsObserver);
-        
-        // Long Tasks
-        const longTaskObserver = new PerformanceObserver((list) => {
-          for (const entry of list.getEntries()) {
-            this.metrics.longTasks.push({
-              startTime: entry.startTime,
-              duration: entry.duration,
-              name: entry.name
-            });
-            this.reportLongTask(entry);
-          }
+        routeEntryObserver.observe({
+          type: 'event',
+          buffered: true,
+          durationThreshold: EVENT_DURATION_THRESHOLD
         });
-        longTaskObserver.observe({ entryTypes: ['longtask'] });
-        this.observers.set('longtask', longTaskObserver);
-        
+        routeEntryObserver.observe({ type: 'layout-shift', buffered: true });
+        this.observers.set('route', routeEntryObserver);
       } catch (e) {
         console.warn('Some performance observers not supported:', e);
       }
     }
+  }
+  
+  // Emit every pending metric once the page is hidden
+  initializeFinalization() {
+    const finalize = () => this.finalize();
     
-    // Navigation timing
-    if ('performance' in window && 'timing' in performance) {
-      window.addEventListener('load', () => {
-        setTimeout(() => {
-          const timing = performance.timing;
-          const navigation = performance.getEntriesByType('navigation')[0];
-          
-          // Time to First Byte
-          this.metrics.ttfb = timing.responseStart - timing.fetchStart;
-          this.reportMetric('TTFB', this.metrics.ttfb);
-          
-          // Time to Interactive (simplified)
-          this.metrics.tti = timing.loadEventEnd - timing.fetchStart;
-          this.reportMetric('TTI', this.metrics.tti);
-          
-          // Total Blocking Time (approximation)
-          if (navigation) {
-            const fcp = this.metrics.fcp || 0;
-            const tti = this.metrics.tti || 0;
-            const longTasksDuringLoad = this.metrics.longTasks.filter(
-              task => task.startTime > fcp && task.startTime < tti
-            );
-            this.metrics.tbt = longTasksDuringLoad.reduce(
-              (total, task) => total + Math.max(0, task.duration - 50),
-              0
-            );
-            this.reportMetric('TBT', this.metrics.tbt);
-          }
-        }, 0);
-      });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') finalize();
+    });
+    window.addEventListener('pagehide', finalize);
+  }
+  
+  handleWebVital(metric, attribution) {
+    const value = metric.name === 'CLS'
+      ? Number(metric.value.toFixed(4))
+      : Math.round(metric.value);
+    
+    this.metrics[metric.name.toLowerCase()] = value;
+    this.setVital(metric.name, value, {
+      id: metric.id,
+      navigationType: metric.navigationType,
+      attribution
+    });
+    
+    if (metric.name === 'FCP') {
+      this.scheduleInteractivityCheck();
     }
   }
   
-  reportMetric(name, value) {
-    // Log to console in development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`[Performance] ${name}:`, value);
+  setVital(name, value, details = {}) {
+    this.vitals[name] = {
+      name,
+      value,
+      rating: getRating(name, value),
+      id: name,
+      ...details
+    };
+    this.notify('vitals');
+  }
+  
+  // Store API: subscribe returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.unsubscribe(listener);
+  }
+  
+  unsubscribe(listener) {
+    this.listeners.delete(listener);
+  }
+  
+  // Immutable snapshot; only replaced when something changes
+  getSnapshot() {
+    return this.snapshot;
+  }
+  
+  // Rebuilds the `changed` parts and reuses the rest from the previous snapshot
+  createSnapshot(changed) {
+    const snapshot = { currentRoute: this.currentRoute };
+    SNAPSHOT_PARTS.forEach((part) => {
+      snapshot[part] = changed.includes(part) ? this.createSnapshotPart(part) : this.snapshot[part];
+    });
+    return Object.freeze(snapshot);
+  }
+  
+  createSnapshotPart(part) {
+    switch (part) {
+      case 'vitals':
+        return Object.freeze({ ...this.vitals });
+      case 'longTasks':
+        return Object.freeze(this.metrics.longTasks.toArray());
+      case 'longFrames':
+        return Object.freeze(this.longFrames.toArray());
+      case 'longTaskOffenders':
+        return this.getLongTaskOffenders();
+      case 'resources':
+        return this.createResourceReport();
+      default:
+        return this.routeTracker ? Object.freeze(this.routeTracker.summarize()) : NO_ROUTES;
     }
+  }
+  
+  // A copy of the running totals, which keep changing
+  createResourceReport() {
+    const { total, byType } = this.resourceSummary;
+    return Object.freeze({
+      entries: Object.freeze(this.resourceEntries.toArray()),
+      total: { ...total },
+      byType: Object.fromEntries(Object.entries(byType).map(([type, totals]) => [type, { ...totals }]))
+    });
+  }
+  
+  // Parts that changed, e.g. notify('vitals'); currentRoute is always current
+  notify(...changed) {
+    this.snapshot = this.createSnapshot(changed);
+    this.listeners.forEach(listener => listener());
+  }
+  
+  // TTI/TBT: wait for a quiet window with no long tasks after FCP
+  scheduleInteractivityCheck() {
+    if (this.metrics.fcp == null || this.metrics.tti != null) return;
     
-    // Send to analytics in production
-    if (process.env.NODE_ENV === 'production' && window.gtag) {
-      window.gtag('event', 'web_vitals', {
-        event_category: 'Performance',
-        event_label: name,
-        value: Math.round(value),
-        non_interaction: true
-      });
+    clearTimeout(this.ttiTimer);
+    const quietSince = Math.max(this.metrics.fcp, this.getLastLongTaskEnd());
+    const remaining = quietSince + TTI_QUIET_WINDOW - performance.now();
+    
+    this.ttiTimer = setTimeout(
+      () => this.computeInteractivity(true),
+      Math.max(0, remaining)
+    );
+  }
+  
+  // Buffered tasks only; the buffer holds far more than a page load produces
+  getLastLongTaskEnd() {
+    return this.metrics.longTasks.reduce(
+      (end, task) => Math.max(end, task.startTime + task.duration),
+      0
+    );
+  }
+  
+  computeInteractivity(quietWindowReached) {
+    const fcp = this.metrics.fcp;
+    if (fcp == null || this.metrics.tti != null) return;
+    
+    clearTimeout(this.ttiTimer);
+    const tti = Math.round(Math.max(fcp, this.getLastLongTaskEnd()));
+    
+    // Only the part of each long task after FCP and above 50ms is blocking
+    const tbt = this.metrics.longTasks.reduce((total, task) => {
+      const start = Math.max(task.startTime, fcp);
+      const end = Math.min(task.startTime + task.duration, tti);
+      if (end <= start) return total;
+      return total + Math.max(0, end - start - BLOCKING_THRESHOLD);
+    }, 0);
+    
+    this.metrics.tti = tti;
+    this.metrics.tbt = Math.round(tbt);
+    this.setVital('TTI', this.metrics.tti, { attribution: { quietWindowReached } });
+    this.setVital('TBT', this.metrics.tbt);
+  }
+  
+  finalize() {
+    // Page hidden before a quiet window: settle for what we have observed
+    this.computeInteractivity(false);
+    
+    Object.values(this.vitals).forEach(({ name, value, ...details }) => {
+      const emission = this.markEmitted(details.id, value);
+      if (emission) this.reportMetric(name, value, { ...details, ...emission });
+    });
+    
+    if (this.routeTracker) this.routeTracker.summarize().forEach(route => this.reportRouteVitals(route));
+    this.reportComponentProfile();
+    this.reportLongTaskOffenders();
+    
+    if (!this.emitted.has('ResourceSize')) {
+      this.emitted.set('ResourceSize', true);
+      this.trackBundleSize();
     }
+    
+    this.reporter.flush({ beacon: true });
+  }
+  
+  // Null when `value` was already sent under `id`. Otherwise records it and
+  // returns { sequence, delta }: sends of this id counted from 1, and the change
+  // since the previous one, so the backend can keep the highest sequence per id
+  // or sum the deltas.
+  markEmitted(id, value) {
+    const previous = this.emitted.get(id);
+    if (previous && Object.is(previous.value, value)) return null;
+
+    const emission = {
+      sequence: previous ? previous.sequence + 1 : 1,
+      delta: previous ? value - previous.value : value
+    };
+    this.emitted.set(id, { value, ...emission });
+    return emission;
+  }
+  
+  reportMetric(name, value, details) {
+    this.reporter.report(name, value, details);
+  }
+  
+  // Route and interaction active when main-thread work happened
+  getAttributionContext(record) {
+    return {
+      route: this.currentRoute,
+      interaction: this.attribution.findInteraction(this.interactions, record)
+    };
+  }
+  
+  handleLongTask(entry) {
+    const { toLongTaskRecord, addTaskOffender, LONG_FRAME_SUPPORTED } = this.attribution;
+    const task = toLongTaskRecord(entry, this.getAttributionContext(entry));
+    this.metrics.longTasks.push(task);
+    // LoAF scripts say more than a longtask ever can
+    if (!LONG_FRAME_SUPPORTED) addTaskOffender(this.offenders, task);
+    this.reportLongTask(task);
   }
   
-  reportLongTask(entry) {
+  handleLongFrame(entry) {
+    const { toLongFrameRecord, addFrameOffenders } = this.attribution;
+    const frame = toLongFrameRecord(entry, this.getAttributionContext(entry));
+    this.longFrames.push(frame);
+    addFrameOffenders(this.offenders, frame);
+  }
+  
+  handleInteraction(entry) {
+    const {
+      toInteractionRecord,
+      attributeInteraction,
+      reattributeOffenders,
+      LONG_FRAME_SUPPORTED
+    } = this.attribution;
+    const interaction = toInteractionRecord(entry);
+    this.interactions.push(interaction);
+    
+    // Whether any task or frame got the interaction
+    let attributed = false;
+    attributeInteraction(this.metrics.longTasks, interaction, (task) => {
+      attributed = true;
+      if (!LONG_FRAME_SUPPORTED) reattributeOffenders(this.offenders, task, { interaction });
+    });
+    attributeInteraction(this.longFrames, interaction, (frame) => {
+      attributed = true;
+      reattributeOffenders(this.offenders, frame, { interaction });
+    });
+    return attributed;
+  }
+  
+  reportLongTask(task) {
     if (process.env.NODE_ENV === 'development') {
       console.warn('[Performance] Long task detected:', {
-        duration: Math.round(entry.duration),
-        startTime: Math.round(entry.startTime)
+        duration: Math.round(task.duration),
+        startTime: Math.round(task.startTime),
+        route: task.route,
+        container: task.container
       });
     }
   }
   
+  // Scripts responsible for the most long-frame time (or embeds, without LoAF)
+  getLongTaskOffenders(limit) {
+    return this.attribution ? this.attribution.summarizeOffenders(this.offenders, limit) : NO_OFFENDERS;
+  }
+  
+  reportLongTaskOffenders() {
+    if (this.emitted.has('LongTaskOffender')) return;
+    
+    const offenders = this.getLongTaskOffenders(OFFENDER_REPORT_LIMIT);
+    if (offenders.length === 0) return;
+    this.emitted.set('LongTaskOffender', true);
+    
+    offenders.forEach(({ key, totalDuration, ...details }) => {
+      this.reportMetric('LongTaskOffender', totalDuration, {
+        id: `LongTaskOffender:${key}`,
+        source: key,
+        loaf: this.attribution.LONG_FRAME_SUPPORTED,
+        ...details
+      });
+    });
+  }
+  
   getMetrics() {
     return { ...this.metrics };
   }
   
-  // Mark custom performance marks
-  mark(name) {
+  // Mark custom performance marks; options as for performance.mark
+  mark(name, options) {
     if ('performance' in window && 'mark' in performance) {
-      performance.mark(name);
+      performance.mark(name, options);
     }
   }
   
   // Measure between marks
-  measure(name, startMark, endMark) {
+  measure(name, startMark, endMark, details) {
     if ('performance' in window && 'measure' in performance) {
       try {
         performance.measure(name, startMark, endMark);
         const measures = performance.getEntriesByName(name, 'measure');
         const duration = measures[measures.length - 1]?.duration;
-        this.reportMetric(name, duration);
+        this.reportMetric(name, duration, details);
         return duration;
       } catch (e) {
         console.error('Failed to measure:', e);
@@ -177,6 +531,92 @@ class PerformanceMonitor {
     this.reportMetric(`Component_${componentName}`, renderTime);
   }
   
+  // React.Profiler results per component, slowest first (see componentProfiler.js)
+  getComponentProfile() {
+    return this.profiler ? this.profiler.summarize() : [];
+  }
+  
+  // The slowest profiled components, once per page view
+  reportComponentProfile() {
+    if (!this.profiler || !this.profiler.active || this.emitted.has('ComponentRender')) return;
+    
+    const profile = this.getComponentProfile();
+    if (profile.length === 0) return;
+    this.emitted.set('ComponentRender', true);
+    
+    profile.slice(0, PROFILE_REPORT_LIMIT).forEach(({ id, actualTotal, ...details }) => {
+      this.reportMetric('ComponentRender', actualTotal, { id: `ComponentRender:${id}`, component: id, ...details });
+    });
+  }
+  
+  // call(routeTracker) runs now, or once routeMetrics.js has loaded
+  withRouteTracker(call) {
+    if (this.routeTracker) {
+      call(this.routeTracker);
+    } else if (this.pendingRouteCalls) {
+      this.pendingRouteCalls.push(call);
+    }
+  }
+  
+  // The router rendered `name`; later interactions and shifts count toward it
+  enterRoute(name) {
+    const initial = this.currentRoute == null;
+    this.currentRoute = name;
+    this.withRouteTracker(tracker => tracker.enterRoute(name));
+    if (initial && this.attribution) {
+      this.attributeInitialRoute(name);
+      this.notify('routes', 'longTasks', 'longFrames', 'longTaskOffenders');
+    } else {
+      this.notify('routes');
+    }
+  }
+  
+  // So does main-thread work from the initial page load
+  attributeInitialRoute(route) {
+    const { reattributeOffenders, LONG_FRAME_SUPPORTED } = this.attribution;
+    const attribute = (record, counted) => {
+      if (record.route != null) return;
+      record.route = route;
+      if (counted) reattributeOffenders(this.offenders, record, { route });
+    };
+    this.metrics.longTasks.forEachReverse(task => attribute(task, !LONG_FRAME_SUPPORTED));
+    this.longFrames.forEachReverse(frame => attribute(frame, true));
+  }
+  
+  reportRouteVitals({ name, inp, cls, views }) {
+    [['INP', inp], ['CLS', cls]].forEach(([metric, value]) => {
+      const id = `Route${metric}:${name}`;
+      const emission = value != null && this.markEmitted(id, value);
+      if (!emission) return;
+      this.reportMetric(`Route${metric}`, value, {
+        id,
+        route: name,
+        views,
+        rating: getRating(metric, value),
+        ...emission
+      });
+    });
+  }
+  
+  // Soft navigations, timed by RouteTracker (see routeMetrics.js). Timestamps
+  // are taken here so calls made before it has loaded keep them.
+  startNavigation({ from, to, startTime = performance.now() }) {
+    this.withRouteTracker(tracker => tracker.startNavigation({ from, to, startTime }));
+  }
+  
+  // Time a lazy chunk ('chunk') or request ('fetch') during a soft navigation
+  trackNavigationTask(type, promise) {
+    const start = performance.now();
+    this.withRouteTracker(tracker => tracker.trackNavigationTask(type, promise, start));
+    return promise;
+  }
+  
+  markNavigationRendered(route) {
+    this.enterRoute(route);
+    const renderedAt = performance.now();
+    this.withRouteTracker(tracker => tracker.markNavigationRendered(route, renderedAt));
+  }
+  
   // Memory usage monitoring
   getMemoryUsage() {
     if ('memory' in performance) {
@@ -202,27 +642,19 @@ class PerformanceMonitor {
     return null;
   }
   
-  // Bundle size tracking
+  // Bundle size tracking from Resource Timing, grouped by resource type. Uses
+  // the observed totals, which the Dashboard shows too: the timeline's own
+  // buffer stops at 250 entries.
   trackBundleSize() {
-    const scripts = Array.from(document.getElementsByTagName('script'));
-    const stylesheets = Array.from(document.getElementsByTagName('link'))
-      .filter(link => link.rel === 'stylesheet');
-    
-    const totalScriptSize = scripts.reduce((total, script) => {
-      if (script.src) {
-        // In production, you'd fetch actual sizes
-        return total + 1;
-      }
-      return total;
-    }, 0);
+    const { total, byType } = this.createResourceReport();
     
-    const totalStyleSize = stylesheets.length;
+    this.reportMetric('ResourceSize', total.transferSize, {
+      id: 'ResourceSize',
+      total,
+      breakdown: byType
+    });
     
-    return {
-      scripts: scripts.length,
-      stylesheets: stylesheets.length,
-      estimatedSize: `${totalScriptSize + totalStyleSize} resources`
-    };
+    return { total, byType };
   }
   
   // Cleanup
@@ -234,17 +666,3 @@ class PerformanceMonitor {
 
 // Export singleton instance
 export const performanceMonitor = new PerformanceMonitor();
-
-// React performance profiler wrapper
-export const withPerformanceTracking = (Component, componentName) => {
-  return (props) => {
-    const startTime = performance.now();
-    
-    React.useEffect(() => {
-      const renderTime = performance.now() - startTime;
-      performanceMonitor.trackComponentRender(componentName, renderTime);
-    });
-    
-    return <Component {...props} />;
-  };
-};
\ No newline at end of file
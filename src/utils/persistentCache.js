@@ -0,0 +1,265 @@
+// IndexedDB-backed cache for structured (JSON) data that survives reloads
+import { openDatabase, promisifyRequest, transactionDone, iterateCursor } from './idb';
+
+const DB_NAME = 'jibril-cache';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+const isQuotaError = (error) =>
+  error && (error.name === 'QuotaExceededError' || error.code === 22);
+
+export class PersistentCache {
+  constructor(options = {}) {
+    const {
+      namespace = 'default',
+      version = 'v1',
+      ttl = 300000,
+      maxEntries = 500,
+      quotaThreshold = 0.8,
+      dbName = DB_NAME,
+      // Pass both when injecting an implementation, e.g. fake-indexeddb
+      indexedDB = globalThis.indexedDB,
+      IDBKeyRange: keyRange = globalThis.IDBKeyRange,
+      storage = globalThis.navigator?.storage
+    } = options;
+
+    this.namespace = namespace;
+    this.version = version;
+    // Records from other versions of this namespace are purged on open
+    this.scope = `${namespace}@${version}`;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.quotaThreshold = quotaThreshold;
+    this.dbName = dbName;
+    this.factory = indexedDB;
+    this.keyRange = keyRange;
+    this.storage = storage;
+    this.dbPromise = null;
+  }
+
+  get available() {
+    return Boolean(this.factory);
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(this.factory, this.dbName, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('namespace', 'namespace');
+          store.createIndex('scope', 'scope');
+          store.createIndex('lru', ['scope', 'lastAccessed']);
+        }
+      }).then(async (db) => {
+        await this.purgeOldVersions(db);
+        return db;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  recordId(key) {
+    return `${this.scope}:${key}`;
+  }
+
+  // Returns { value, expires } or null when missing or expired
+  async getEntry(key) {
+    if (!this.available) return null;
+
+    try {
+      const db = await this.open();
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      const record = await promisifyRequest(store.get(this.recordId(key)));
+
+      if (!record) return null;
+
+      if (Date.now() > record.expires) {
+        store.delete(record.id);
+        await transactionDone(tx);
+        return null;
+      }
+
+      // Track recency for LRU trimming
+      store.put({ ...record, lastAccessed: Date.now() });
+      await transactionDone(tx);
+
+      return { value: record.value, expires: record.expires };
+    } catch (error) {
+      console.error('Failed to read persistent cache:', error);
+      return null;
+    }
+  }
+
+  async get(key) {
+    const entry = await this.getEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  // set(key, value, { ttl, tags }) or set(key, value, ttl)
+  async set(key, value, options = {}) {
+    if (!this.available) return false;
+
+    const { ttl = this.ttl, tags = [] } = typeof options === 'number' ? { ttl: options } : options;
+    const now = Date.now();
+    const record = {
+      id: this.recordId(key),
+      key,
+      namespace: this.namespace,
+      scope: this.scope,
+      value,
+      tags,
+      expires: ttl === Infinity ? Infinity : now + ttl,
+      lastAccessed: now
+    };
+
+    try {
+      await this.put(record);
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        console.error('Failed to write persistent cache:', error);
+        return false;
+      }
+
+      // Out of space: free half of our entries and try once more
+      try {
+        await this.trim(Math.floor(this.maxEntries / 2));
+        await this.put(record);
+      } catch (retryError) {
+        console.error('Persistent cache quota exceeded:', retryError);
+        return false;
+      }
+    }
+
+    await this.enforceLimits();
+    return true;
+  }
+
+  async put(record) {
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put(record);
+    await transactionDone(tx);
+  }
+
+  async delete(key) {
+    if (!this.available) return;
+
+    try {
+      const db = await this.open();
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).delete(this.recordId(key));
+      await transactionDone(tx);
+    } catch (error) {
+      console.error('Failed to delete from persistent cache:', error);
+    }
+  }
+
+  async keys() {
+    if (!this.available) return [];
+
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readonly');
+    const records = await promisifyRequest(
+      tx.objectStore(STORE).index('scope').getAll(this.scope)
+    );
+    return records.map(record => record.key);
+  }
+
+  async clear() {
+    if (!this.available) return;
+
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    await iterateCursor(
+      tx.objectStore(STORE).index('scope').openCursor(this.scope),
+      (cursor) => { cursor.delete(); }
+    );
+    await transactionDone(tx);
+  }
+
+  // Delete every entry for which predicate(key, value, tags) is true
+  async deleteWhere(predicate) {
+    if (!this.available) return [];
+
+    const keys = [];
+    try {
+      const db = await this.open();
+      const tx = db.transaction(STORE, 'readwrite');
+      await iterateCursor(
+        tx.objectStore(STORE).index('scope').openCursor(this.scope),
+        (cursor) => {
+          const { key, value, tags = [] } = cursor.value;
+          if (predicate(key, value, tags)) {
+            keys.push(key);
+            cursor.delete();
+          }
+        }
+      );
+      await transactionDone(tx);
+    } catch (error) {
+      console.error('Failed to invalidate persistent cache:', error);
+    }
+    return keys;
+  }
+
+  // Keep at most maxEntries, and trim harder when storage is nearly full
+  async enforceLimits() {
+    try {
+      const db = await this.open();
+      const tx = db.transaction(STORE, 'readonly');
+      const count = await promisifyRequest(tx.objectStore(STORE).index('scope').count(this.scope));
+
+      if (count > this.maxEntries) {
+        await this.trim(this.maxEntries);
+      } else if (await this.isNearQuota()) {
+        await this.trim(Math.floor(count / 2));
+      }
+    } catch (error) {
+      console.error('Failed to trim persistent cache:', error);
+    }
+  }
+
+  async isNearQuota() {
+    if (!this.storage || typeof this.storage.estimate !== 'function') return false;
+
+    try {
+      const { usage = 0, quota = 0 } = await this.storage.estimate();
+      return quota > 0 && usage / quota > this.quotaThreshold;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Delete least recently used entries until `limit` remain
+  async trim(limit) {
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const count = await promisifyRequest(store.index('scope').count(this.scope));
+    let excess = count - limit;
+
+    if (excess > 0) {
+      const range = this.keyRange.bound([this.scope, -Infinity], [this.scope, Infinity]);
+      await iterateCursor(store.index('lru').openCursor(range), (cursor) => {
+        cursor.delete();
+        excess--;
+        return excess > 0;
+      });
+    }
+
+    await transactionDone(tx);
+  }
+
+  // CACHE_VERSION changed: drop records written by previous versions
+  async purgeOldVersions(db) {
+    const tx = db.transaction(STORE, 'readwrite');
+    await iterateCursor(
+      tx.objectStore(STORE).index('namespace').openCursor(this.namespace),
+      (cursor) => {
+        if (cursor.value.scope !== this.scope) cursor.delete();
+      }
+    );
+    await transactionDone(tx);
+  }
+}
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { PersistentCache } from './persistentCache';
+
+// A fresh database per test; Node has no IndexedDB of its own
+const createCache = (options = {}) =>
+  new PersistentCache({
+    indexedDB: options.indexedDB || new IDBFactory(),
+    IDBKeyRange,
+    storage: null,
+    ...options
+  });
+
+describe('PersistentCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('stores structured values', async () => {
+    const cache = createCache();
+    const value = { items: [1, 2, 3], label: 'stats' };
+
+    expect(await cache.set('stats', value)).toBe(true);
+    expect(await cache.get('stats')).toEqual(value);
+    expect(await cache.get('missing')).toBeNull();
+    expect(await cache.keys()).toEqual(['stats']);
+  });
+
+  it('expires entries after their TTL', async () => {
+    const cache = createCache({ ttl: 1000 });
+    await cache.set('default', 'a');
+    await cache.set('longer', 'b', { ttl: 5000 });
+    await cache.set('forever', 'c', Infinity);
+
+    now += 2000;
+    expect(await cache.get('default')).toBeNull();
+    expect(await cache.get('longer')).toBe('b');
+    expect(await cache.get('forever')).toBe('c');
+    // Expired records are deleted when read
+    expect(await cache.keys()).toEqual(['forever', 'longer']);
+  });
+
+  it('trims the least recently used entries beyond maxEntries', async () => {
+    const cache = createCache({ maxEntries: 3 });
+    for (const key of ['a', 'b', 'c']) {
+      await cache.set(key, key);
+      now += 10;
+    }
+
+    // Reading `a` makes `b` the least recently used
+    await cache.get('a');
+    now += 10;
+    await cache.set('d', 'd');
+
+    expect((await cache.keys()).sort()).toEqual(['a', 'c', 'd']);
+  });
+
+  it('trims to half when storage is nearly full', async () => {
+    const storage = { estimate: vi.fn().mockResolvedValue({ usage: 10, quota: 100 }) };
+    const cache = createCache({ storage, maxEntries: 10 });
+    for (const key of ['a', 'b', 'c', 'd']) {
+      await cache.set(key, key);
+      now += 10;
+    }
+
+    storage.estimate.mockResolvedValue({ usage: 90, quota: 100 });
+    await cache.set('e', 'e');
+
+    expect((await cache.keys()).sort()).toEqual(['d', 'e']);
+  });
+
+  it('frees space and retries when a write exceeds the quota', async () => {
+    const cache = createCache({ maxEntries: 4 });
+    for (const key of ['a', 'b', 'c', 'd']) {
+      await cache.set(key, key);
+      now += 10;
+    }
+
+    const put = cache.put.bind(cache);
+    const quotaError = new DOMException('Quota exceeded', 'QuotaExceededError');
+    vi.spyOn(cache, 'put')
+      .mockRejectedValueOnce(quotaError)
+      .mockImplementation(put);
+
+    expect(await cache.set('e', 'e')).toBe(true);
+    expect((await cache.keys()).sort()).toEqual(['c', 'd', 'e']);
+  });
+
+  it('keeps namespaces apart and drops old versions on open', async () => {
+    const indexedDB = new IDBFactory();
+    const v1 = createCache({ indexedDB, namespace: 'data', version: 'v1' });
+    const other = createCache({ indexedDB, namespace: 'other', version: 'v1' });
+    await v1.set('key', 'old');
+    await other.set('key', 'other');
+
+    const db = await v1.open();
+    db.close();
+
+    const v2 = createCache({ indexedDB, namespace: 'data', version: 'v2' });
+    expect(await v2.get('key')).toBeNull();
+    await v2.set('key', 'new');
+
+    expect(await v2.keys()).toEqual(['key']);
+    expect(await v2.get('key')).toBe('new');
+    expect(await other.get('key')).toBe('other');
+  });
+
+  it('deletes entries matching a predicate', async () => {
+    const cache = createCache();
+    await cache.set('a', 1, { tags: ['dashboard'] });
+    await cache.set('b', 2, { tags: ['analytics'] });
+    await cache.set('c', 3);
+
+    const deleted = await cache.deleteWhere((key, value, tags) => tags.includes('dashboard') || value === 3);
+
+    expect(deleted.sort()).toEqual(['a', 'c']);
+    expect(await cache.keys()).toEqual(['b']);
+  });
+
+  it('does nothing without IndexedDB', async () => {
+    const cache = new PersistentCache({ indexedDB: undefined });
+
+    expect(cache.available).toBe(false);
+    expect(await cache.set('a', 1)).toBe(false);
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.keys()).toEqual([]);
+  });
+});
@@ -0,0 +1,290 @@
+// Background prefetching of lazy chunks and data
+//
+// Work is queued by priority and started in idle time, a few items at a time.
+// Nothing is prefetched on Save-Data or 2G connections. Every prefetch is
+// reported, and so is its first use, so the hit rate can be measured.
+import { performanceMonitor } from './performanceMonitor';
+
+export const PrefetchPriority = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low'
+};
+
+const PRIORITY_ORDER = {
+  [PrefetchPriority.HIGH]: 0,
+  [PrefetchPriority.NORMAL]: 1,
+  [PrefetchPriority.LOW]: 2
+};
+
+const SLOW_CONNECTIONS = ['slow-2g', '2g'];
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  // Longest wait for an idle period before starting queued work anyway
+  idleTimeout: 2000
+};
+
+const isBrowser = typeof window !== 'undefined';
+
+const requestIdle = (callback, timeout) => {
+  if (isBrowser && 'requestIdleCallback' in window) {
+    return requestIdleCallback(callback, { timeout });
+  }
+  return setTimeout(callback, 1);
+};
+
+const cancelIdle = (handle) => {
+  if (isBrowser && 'cancelIdleCallback' in window) {
+    cancelIdleCallback(handle);
+  } else {
+    clearTimeout(handle);
+  }
+};
+
+export class PrefetchScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.tasks = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.idleHandle = null;
+    this.reported = false;
+    this.stats = { prefetched: 0, used: 0, skipped: 0, cancelled: 0, failed: 0 };
+  }
+
+  configure(options) {
+    this.options = { ...this.options, ...options };
+    this.pump();
+  }
+
+  // Reason to hold off on speculative loading, or null when it's fine
+  getSkipReason() {
+    const network = performanceMonitor.getNetworkInfo();
+    if (!network) return null;
+    if (network.saveData) return 'save-data';
+    if (SLOW_CONNECTIONS.includes(network.effectiveType)) return 'slow-network';
+    return null;
+  }
+
+  // Queue `loader({ signal })` under `key`. Returns the task's promise, which
+  // resolves to the loaded value, or undefined when skipped or cancelled.
+  prefetch(key, loader, { priority = PrefetchPriority.NORMAL } = {}) {
+    const existing = this.tasks.get(key);
+    if (existing && existing.status !== 'cancelled' && existing.status !== 'failed') {
+      // Asked again with more urgency: move it up the queue
+      if (existing.status === 'queued' && PRIORITY_ORDER[priority] < PRIORITY_ORDER[existing.priority]) {
+        existing.priority = priority;
+        this.sortQueue();
+        this.pump();
+      }
+      return existing.promise;
+    }
+
+    const skipReason = this.getSkipReason();
+    if (skipReason) {
+      this.stats.skipped++;
+      return Promise.resolve(undefined);
+    }
+
+    const task = {
+      key,
+      loader,
+      priority,
+      status: 'queued',
+      controller: new AbortController(),
+      queuedAt: performance.now(),
+      loadedAt: null,
+      used: false
+    };
+    task.promise = new Promise((resolve) => {
+      task.resolve = resolve;
+    });
+
+    this.tasks.set(key, task);
+    this.queue.push(task);
+    this.sortQueue();
+    this.pump();
+
+    return task.promise;
+  }
+
+  sortQueue() {
+    this.queue.sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
+  }
+
+  // High priority work starts right away; the rest waits for idle time
+  pump() {
+    while (
+      this.active < this.options.concurrency &&
+      this.queue.length > 0 &&
+      this.queue[0].priority === PrefetchPriority.HIGH
+    ) {
+      this.start(this.queue.shift());
+    }
+
+    if (this.queue.length === 0 || this.idleHandle !== null) return;
+
+    this.idleHandle = requestIdle(() => {
+      this.idleHandle = null;
+      while (this.active < this.options.concurrency && this.queue.length > 0) {
+        this.start(this.queue.shift());
+      }
+    }, this.options.idleTimeout);
+  }
+
+  async start(task) {
+    // The connection may have changed since this was queued
+    if (this.getSkipReason()) {
+      task.status = 'cancelled';
+      this.stats.skipped++;
+      task.resolve(undefined);
+      return;
+    }
+
+    task.status = 'loading';
+    this.active++;
+    const startedAt = performance.now();
+
+    try {
+      const value = await task.loader({ signal: task.controller.signal });
+      if (task.status === 'cancelled') return;
+
+      task.status = 'loaded';
+      task.loadedAt = performance.now();
+      this.stats.prefetched++;
+      performanceMonitor.reportMetric('Prefetch', Math.round(task.loadedAt - startedAt), {
+        id: task.key,
+        priority: task.priority
+      });
+      task.resolve(value);
+    } catch (error) {
+      if (task.status === 'cancelled') return;
+
+      task.status = 'failed';
+      this.stats.failed++;
+      task.resolve(undefined);
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`[Prefetch] ${task.key} failed:`, error);
+      }
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  // Record that something was needed for real at `usedAt` (a performance.now()
+  // timestamp). Returns true when it had been prefetched, i.e. a hit.
+  markUsed(key, usedAt = performance.now()) {
+    const task = this.tasks.get(key);
+    if (!task || task.status !== 'loaded' || task.used) return false;
+    // Loads that began before the prefetch finished are the prefetch itself
+    if (usedAt < task.loadedAt) return false;
+
+    task.used = true;
+    this.stats.used++;
+    // How far ahead of use the prefetch finished
+    performanceMonitor.reportMetric('PrefetchHit', Math.round(usedAt - task.loadedAt), {
+      id: task.key
+    });
+    return true;
+  }
+
+  isPrefetched(key) {
+    const task = this.tasks.get(key);
+    return Boolean(task && task.status === 'loaded');
+  }
+
+  cancel(key) {
+    const task = this.tasks.get(key);
+    if (!task || (task.status !== 'queued' && task.status !== 'loading')) return false;
+
+    // A loading task keeps its slot until the loader settles
+    task.status = 'cancelled';
+    task.controller.abort();
+    task.resolve(undefined);
+    this.queue = this.queue.filter(queued => queued !== task);
+    this.tasks.delete(key);
+    this.stats.cancelled++;
+    this.pump();
+    return true;
+  }
+
+  cancelAll() {
+    Array.from(this.tasks.keys()).forEach(key => this.cancel(key));
+    if (this.idleHandle !== null) {
+      cancelIdle(this.idleHandle);
+      this.idleHandle = null;
+    }
+  }
+
+  getStats() {
+    const { prefetched, used } = this.stats;
+    return {
+      ...this.stats,
+      pending: this.queue.length,
+      active: this.active,
+      hitRate: prefetched > 0 ? used / prefetched : 0
+    };
+  }
+
+  // Once per page: what was prefetched and never used
+  reportSummary() {
+    if (this.reported || this.stats.prefetched === 0) return;
+    this.reported = true;
+
+    const unused = [];
+    this.tasks.forEach(task => {
+      if (task.status === 'loaded' && !task.used) unused.push(task.key);
+    });
+
+    const { hitRate, prefetched, used } = this.getStats();
+    performanceMonitor.reportMetric('PrefetchHitRate', Number(hitRate.toFixed(2)), {
+      id: 'PrefetchHitRate',
+      prefetched,
+      used,
+      unused
+    });
+    performanceMonitor.reporter.flush({ beacon: true });
+  }
+}
+
+export const prefetchScheduler = new PrefetchScheduler();
+
+// A lazily imported module that can be prefetched ahead of time.
+// Pass `load` to React.lazy; it reuses a prefetched chunk and counts the hit.
+export const createPrefetchable = (key, loader) => {
+  const taskKey = `module:${key}`;
+  let modulePromise = null;
+
+  // Shared by load and prefetch, so either can retry an import the other failed
+  const importModule = () => {
+    if (!modulePromise) {
+      modulePromise = loader().catch((error) => {
+        modulePromise = null;
+        throw error;
+      });
+    }
+    return modulePromise;
+  };
+
+  const load = () => {
+    prefetchScheduler.markUsed(taskKey);
+    return importModule();
+  };
+
+  const prefetch = (options) => {
+    if (modulePromise) return modulePromise;
+    return prefetchScheduler.prefetch(taskKey, importModule, options);
+  };
+
+  return { key: taskKey, load, prefetch };
+};
+
+if (isBrowser) {
+  const report = () => prefetchScheduler.reportSummary();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') report();
+  });
+  window.addEventListener('pagehide', report);
+}
@@ -0,0 +1,84 @@
+// Resource Timing helpers for asset size accounting
+
+export const RESOURCE_TYPES = ['script', 'css', 'img', 'font', 'fetch', 'other'];
+
+const EXTENSION_TYPES = [
+  ['script', /\.m?js(\?|$)/i],
+  ['css', /\.css(\?|$)/i],
+  ['img', /\.(png|jpe?g|gif|svg|webp|avif|ico)(\?|$)/i],
+  ['font', /\.(woff2?|ttf|otf|eot)(\?|$)/i]
+];
+
+// Group by what was loaded, falling back to the file extension because
+// initiatorType describes who asked for it (e.g. "link" for stylesheets)
+export const getResourceType = (entry) => {
+  switch (entry.initiatorType) {
+    case 'script':
+      return 'script';
+    case 'img':
+    case 'image':
+      return 'img';
+    case 'fetch':
+    case 'xmlhttprequest':
+    case 'beacon':
+      return 'fetch';
+    default: {
+      const match = EXTENSION_TYPES.find(([, pattern]) => pattern.test(entry.name));
+      return match ? match[0] : 'other';
+    }
+  }
+};
+
+// Where the bytes came from, based on transfer vs. body sizes
+export const getCacheStatus = (entry) => {
+  if (entry.transferSize === 0) {
+    if (entry.workerStart > 0) return 'service-worker';
+    // Cross-origin resources without Timing-Allow-Origin report no sizes
+    return entry.decodedBodySize > 0 ? 'cache' : 'unknown';
+  }
+  // Only headers went over the wire: a 304 revalidation
+  if (entry.encodedBodySize > 0 && entry.transferSize < entry.encodedBodySize) {
+    return 'revalidated';
+  }
+  return 'network';
+};
+
+export const toResourceRecord = (entry) => ({
+  name: entry.name,
+  type: getResourceType(entry),
+  cacheStatus: getCacheStatus(entry),
+  startTime: Math.round(entry.startTime),
+  duration: Math.round(entry.duration),
+  transferSize: entry.transferSize || 0,
+  encodedBodySize: entry.encodedBodySize || 0,
+  decodedBodySize: entry.decodedBodySize || 0
+});
+
+const createTotals = () => ({
+  count: 0,
+  transferSize: 0,
+  encodedBodySize: 0,
+  decodedBodySize: 0,
+  cached: 0
+});
+
+const addToTotals = (totals, record) => {
+  totals.count += 1;
+  totals.transferSize += record.transferSize;
+  totals.encodedBodySize += record.encodedBodySize;
+  totals.decodedBodySize += record.decodedBodySize;
+  if (record.cacheStatus === 'cache' || record.cacheStatus === 'service-worker') {
+    totals.cached += 1;
+  }
+};
+
+// { total, byType } totals, kept up to date one record at a time
+export const createResourceSummary = () => ({
+  total: createTotals(),
+  byType: Object.fromEntries(RESOURCE_TYPES.map(type => [type, createTotals()]))
+});
+
+export const addResource = (summary, record) => {
+  addToTotals(summary.byType[record.type], record);
+  addToTotals(summary.total, record);
+};
@@ -0,0 +1,63 @@
+// Fixed-capacity buffer that overwrites its oldest item once full, for
+// observer data that would otherwise grow for as long as the page is open
+export class RingBuffer {
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      throw new RangeError('RingBuffer capacity must be a positive integer');
+    }
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+    // Items overwritten so far
+    this.dropped = 0;
+  }
+
+  push(item) {
+    this.items[(this.start + this.length) % this.capacity] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+      this.dropped++;
+    }
+    return item;
+  }
+
+  // Oldest first; undefined outside 0..length-1
+  get(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.length; i++) {
+      yield this.get(i);
+    }
+  }
+
+  // Newest first, stopping once `callback` returns false
+  forEachReverse(callback) {
+    for (let i = this.length - 1; i >= 0; i--) {
+      if (callback(this.get(i)) === false) return;
+    }
+  }
+
+  reduce(callback, initialValue) {
+    let accumulator = initialValue;
+    for (const item of this) {
+      accumulator = callback(accumulator, item);
+    }
+    return accumulator;
+  }
+
+  toArray() {
+    return Array.from(this);
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
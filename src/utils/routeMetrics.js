@@ -0,0 +1,217 @@
+// Per-route aggregation of soft navigations, INP and CLS
+//
+// web-vitals measures INP and CLS over the whole page lifetime; these helpers
+// apply the same definitions to the time spent on each route. RouteTracker
+// keeps the stats and times soft navigations for performanceMonitor, which
+// loads this module after startup.
+
+// CLS session windows: shifts less than 1s apart, at most 5s long
+const SESSION_GAP = 1000;
+const SESSION_MAX = 5000;
+// Stop waiting for a soft navigation's requests after this long
+const NAVIGATION_TIMEOUT = 10000;
+
+export const createRouteStats = (name) => ({
+  name,
+  views: 0,
+  navigations: { count: 0, total: 0, max: 0 },
+  // Longest event duration per interactionId
+  interactions: new Map(),
+  cls: 0,
+  session: null
+});
+
+export const addView = (stats) => {
+  stats.views++;
+  // Layout shifts don't form a session across a route change
+  stats.session = null;
+};
+
+export const addNavigation = (stats, duration) => {
+  const { navigations } = stats;
+  navigations.count++;
+  navigations.total += duration;
+  navigations.max = Math.max(navigations.max, duration);
+};
+
+export const addInteraction = (stats, entry) => {
+  if (!entry.interactionId) return;
+  const previous = stats.interactions.get(entry.interactionId) || 0;
+  stats.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+};
+
+export const addLayoutShift = (stats, entry) => {
+  if (entry.hadRecentInput) return;
+
+  const { session } = stats;
+  if (
+    session &&
+    entry.startTime - session.end < SESSION_GAP &&
+    entry.startTime - session.start < SESSION_MAX
+  ) {
+    session.value += entry.value;
+    session.end = entry.startTime;
+  } else {
+    stats.session = { value: entry.value, start: entry.startTime, end: entry.startTime };
+  }
+
+  stats.cls = Math.max(stats.cls, stats.session.value);
+};
+
+// Like web-vitals: the worst interaction, ignoring one outlier per 50
+export const estimateInp = (stats) => {
+  const durations = Array.from(stats.interactions.values()).sort((a, b) => b - a);
+  if (durations.length === 0) return null;
+  return Math.round(durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))]);
+};
+
+export const summarizeRoute = (stats) => {
+  const { count, total, max } = stats.navigations;
+  return Object.freeze({
+    name: stats.name,
+    views: stats.views,
+    navigations: count,
+    averageNavigation: count > 0 ? Math.round(total / count) : null,
+    slowestNavigation: count > 0 ? Math.round(max) : null,
+    interactions: stats.interactions.size,
+    inp: estimateInp(stats),
+    cls: Number(stats.cls.toFixed(4))
+  });
+};
+
+export class RouteTracker {
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.routes = new Map();
+    // Interactions and shifts observed before the first route rendered
+    this.unattributedEntries = [];
+    // The soft navigation in progress
+    this.navigation = null;
+    this.navigationCount = 0;
+  }
+
+  getStats(name) {
+    if (!this.routes.has(name)) {
+      this.routes.set(name, createRouteStats(name));
+    }
+    return this.routes.get(name);
+  }
+
+  // The router rendered `name`; later interactions and shifts count toward it
+  enterRoute(name) {
+    addView(this.getStats(name));
+
+    // Entries observed before the first route rendered belong to it
+    const pending = this.unattributedEntries;
+    this.unattributedEntries = [];
+    pending.forEach(entry => this.handleEntry(entry, name));
+  }
+
+  // An event or layout-shift entry observed while `route` was current
+  handleEntry(entry, route) {
+    if (route == null) {
+      this.unattributedEntries.push(entry);
+      return;
+    }
+
+    const stats = this.getStats(route);
+    if (entry.entryType === 'layout-shift') {
+      addLayoutShift(stats, entry);
+    } else {
+      addInteraction(stats, entry);
+    }
+  }
+
+  summarize() {
+    return Array.from(this.routes.values(), summarizeRoute);
+  }
+
+  // Soft navigations: route changes without a page load (see utils/router.js).
+  // Timed from the history update to the new route rendering; lazy chunks and
+  // data requests it waits on are timed too.
+  startNavigation({ from, to, startTime }) {
+    if (this.navigation) {
+      // Superseded: report it if it got as far as rendering
+      this.completeNavigation(this.navigation);
+    }
+
+    const navigation = {
+      id: `soft-nav-${++this.navigationCount}`,
+      from,
+      to,
+      route: null,
+      startTime,
+      renderedAt: null,
+      pending: 0,
+      chunkLoad: 0,
+      dataFetch: 0
+    };
+    navigation.timer = setTimeout(() => this.completeNavigation(navigation), NAVIGATION_TIMEOUT);
+
+    this.navigation = navigation;
+    this.monitor.mark(`${navigation.id}:start`, { startTime });
+  }
+
+  // A lazy chunk ('chunk') or request ('fetch') started at `start`
+  trackNavigationTask(type, promise, start) {
+    const navigation = this.navigation;
+    if (!navigation) return;
+
+    const key = type === 'chunk' ? 'chunkLoad' : 'dataFetch';
+    navigation.pending++;
+
+    const settle = () => {
+      navigation[key] = Math.max(navigation[key], performance.now() - start);
+      navigation.pending--;
+      this.maybeCompleteNavigation(navigation);
+    };
+    promise.then(settle, settle);
+  }
+
+  markNavigationRendered(route, renderedAt) {
+    const navigation = this.navigation;
+    if (!navigation || navigation.renderedAt) return;
+
+    navigation.route = route;
+    navigation.renderedAt = renderedAt;
+    this.monitor.mark(`${navigation.id}:rendered`, { startTime: renderedAt });
+
+    // Give the new route's effects a chance to start their requests
+    setTimeout(() => this.maybeCompleteNavigation(navigation), 0);
+  }
+
+  maybeCompleteNavigation(navigation) {
+    if (navigation === this.navigation && navigation.renderedAt && navigation.pending === 0) {
+      this.completeNavigation(navigation);
+    }
+  }
+
+  completeNavigation(navigation) {
+    clearTimeout(navigation.timer);
+    if (this.navigation === navigation) this.navigation = null;
+    if (!navigation.renderedAt) return;
+
+    const { id, from, to, route, startTime, chunkLoad, dataFetch } = navigation;
+    const duration = this.monitor.measure('SoftNavigation', `${id}:start`, `${id}:rendered`, {
+      id,
+      from,
+      to,
+      route,
+      chunkLoad: Math.round(chunkLoad),
+      dataFetch: Math.round(dataFetch),
+      // Until the last request it waited on settled
+      complete: Math.round(performance.now() - startTime)
+    });
+
+    if ('clearMarks' in performance) {
+      performance.clearMarks(`${id}:start`);
+      performance.clearMarks(`${id}:rendered`);
+      performance.clearMeasures('SoftNavigation');
+    }
+
+    if (duration != null) {
+      addNavigation(this.getStats(route), duration);
+      this.monitor.notify('routes');
+    }
+  }
+}
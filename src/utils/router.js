@@ -0,0 +1,238 @@
+// History API routing: location store, route matching, scroll restoration
+// and route preloading. React bindings live in components/Router.jsx.
+import { createPrefetchable } from './prefetchScheduler';
+import { performanceMonitor } from './performanceMonitor';
+
+const SCROLL_STORAGE_KEY = 'jibril-scroll-positions';
+const isBrowser = typeof window !== 'undefined';
+
+export const NavigationAction = {
+  INITIAL: 'initial',
+  PUSH: 'push',
+  REPLACE: 'replace',
+  POP: 'pop'
+};
+
+const createKey = () => Math.random().toString(36).slice(2, 10);
+
+// Scroll positions by history entry key, kept across reloads of the tab
+let scrollPositions = {};
+if (isBrowser) {
+  try {
+    scrollPositions = JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {};
+  } catch (e) {
+    scrollPositions = {};
+  }
+}
+
+const saveScrollPosition = (key) => {
+  scrollPositions[key] = [window.scrollX, window.scrollY];
+  try {
+    sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(scrollPositions));
+  } catch (e) {
+    // Storage full or disabled; restoration just won't survive reloads
+  }
+};
+
+let currentLocation = null;
+
+// { pathname, search, hash, state, key, action, from, startTime }
+const readLocation = (action) => {
+  const { pathname, search, hash } = window.location;
+  const { key, state = null } = window.history.state || {};
+  return {
+    pathname,
+    search,
+    hash,
+    state,
+    key,
+    action,
+    from: currentLocation ? currentLocation.pathname : null,
+    startTime: performance.now()
+  };
+};
+
+const listeners = new Set();
+
+const setLocation = (location) => {
+  currentLocation = location;
+  // Completed when the new route renders (see components/Router.jsx)
+  performanceMonitor.startNavigation({
+    from: location.from,
+    to: location.pathname,
+    startTime: location.startTime
+  });
+  listeners.forEach(listener => listener());
+};
+
+if (isBrowser) {
+  // We restore scroll ourselves once the new route has rendered
+  if ('scrollRestoration' in window.history) {
+    window.history.scrollRestoration = 'manual';
+  }
+
+  if (!window.history.state || !window.history.state.key) {
+    window.history.replaceState({ ...window.history.state, key: createKey() }, '');
+  }
+  currentLocation = readLocation(NavigationAction.INITIAL);
+
+  window.addEventListener('popstate', () => {
+    // The browser hasn't scrolled yet, so this is still the page we're leaving
+    saveScrollPosition(currentLocation.key);
+
+    // Plain #hash links create history entries we haven't keyed yet
+    if (!window.history.state || !window.history.state.key) {
+      window.history.replaceState({ key: createKey() }, '');
+      setLocation(readLocation(NavigationAction.PUSH));
+      return;
+    }
+    setLocation(readLocation(NavigationAction.POP));
+  });
+
+  window.addEventListener('pagehide', () => saveScrollPosition(currentLocation.key));
+}
+
+export const subscribeToLocation = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getLocation = () => currentLocation;
+
+// navigate('/analytics', { replace, state }). Other origins get a full page load.
+export const navigate = (to, { replace = false, state = null } = {}) => {
+  const url = new URL(to, window.location.href);
+  if (url.origin !== window.location.origin) {
+    window.location.assign(url.href);
+    return;
+  }
+
+  const path = `${url.pathname}${url.search}${url.hash}`;
+  const current = currentLocation;
+  if (!replace && path === `${current.pathname}${current.search}${current.hash}`) return;
+
+  saveScrollPosition(current.key);
+  const entry = { key: createKey(), state };
+  if (replace) {
+    window.history.replaceState(entry, '', path);
+  } else {
+    window.history.pushState(entry, '', path);
+  }
+  setLocation(readLocation(replace ? NavigationAction.REPLACE : NavigationAction.PUSH));
+};
+
+// Back/forward restore the old position; new entries go to the hash target or top
+export const restoreScroll = (location) => {
+  const saved = scrollPositions[location.key];
+  if (location.action === NavigationAction.POP && saved) {
+    window.scrollTo(saved[0], saved[1]);
+    return;
+  }
+  if (location.action === NavigationAction.INITIAL) return;
+
+  const target = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+  if (target) {
+    target.scrollIntoView();
+  } else {
+    window.scrollTo(0, 0);
+  }
+};
+
+const splitPath = path => (path || '').split('/').filter(Boolean);
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+};
+
+// Match a route's own segments against the start of the remaining URL segments.
+// Supports static segments, ":param" and a trailing "*".
+const matchSegments = (routeSegments, segments) => {
+  const params = {};
+
+  for (let i = 0; i < routeSegments.length; i++) {
+    const routeSegment = routeSegments[i];
+
+    if (routeSegment === '*') {
+      params['*'] = segments.slice(i).map(decodeSegment).join('/');
+      return { params, consumed: segments.length };
+    }
+    if (i >= segments.length) return null;
+
+    if (routeSegment.startsWith(':')) {
+      params[routeSegment.slice(1)] = decodeSegment(segments[i]);
+    } else if (routeSegment !== segments[i]) {
+      return null;
+    }
+  }
+
+  return { params, consumed: routeSegments.length };
+};
+
+const matchBranch = (routes, segments, base, parentParams) => {
+  for (const route of routes) {
+    if (route.index) {
+      if (segments.length === 0) return [{ route, params: parentParams, pathname: base }];
+      continue;
+    }
+
+    const match = matchSegments(splitPath(route.path), segments);
+    if (!match) continue;
+
+    const params = { ...parentParams, ...match.params };
+    const consumed = segments.slice(0, match.consumed);
+    const rest = segments.slice(match.consumed);
+    const pathname = `${base.replace(/\/$/, '')}/${consumed.join('/')}`;
+    const self = { route, params, pathname };
+
+    if (route.children) {
+      const children = matchBranch(route.children, rest, pathname, params);
+      if (children) return [self, ...children];
+    }
+    if (rest.length === 0) return [self];
+  }
+  return null;
+};
+
+// Route objects: { path, index, name, load, component, fallback, children }.
+// Returns the matched branch, outermost layout first, or null.
+export const matchRoutes = (routes, pathname) =>
+  matchBranch(routes, splitPath(pathname), '/', {});
+
+// "/analytics/:range"-style name for a matched branch, used in reports
+export const getRouteName = (matches) => {
+  if (!matches || matches.length === 0) return null;
+  const leaf = matches[matches.length - 1].route;
+  if (leaf.name) return leaf.name;
+
+  const path = matches.map(({ route }) => route.path || '').join('/');
+  return `/${splitPath(path).join('/')}`;
+};
+
+// One prefetchable module per lazy route, shared by rendering and preloading
+const routeModules = new WeakMap();
+let unnamedRoutes = 0;
+
+export const getRouteModule = (route) => {
+  if (!route.load) return null;
+  if (!routeModules.has(route)) {
+    // Named routes read better in prefetch reports; others just need a unique key
+    const key = route.name || `${route.path || 'index'}#${++unnamedRoutes}`;
+    routeModules.set(route, createPrefetchable(`route:${key}`, route.load));
+  }
+  return routeModules.get(route);
+};
+
+// Start loading every lazy chunk the destination needs
+export const prefetchRoute = (routes, to, options) => {
+  const { pathname } = new URL(to, window.location.href);
+  const matches = matchRoutes(routes, pathname) || [];
+
+  return Promise.all(matches.map(({ route }) => {
+    const module = getRouteModule(route);
+    return module ? module.prefetch(options) : null;
+  }));
+};
@@ -0,0 +1,72 @@
+// Service worker registration and update lifecycle (via workbox-window,
+// loaded with the registration after the page load)
+
+// Look for a new deployment periodically in long-lived tabs
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let workbox = null;
+let registered = false;
+let updateState = { updateAvailable: false, updating: false };
+const listeners = new Set();
+
+const setUpdateState = (changes) => {
+  updateState = { ...updateState, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator) || registered) return;
+
+  // vite-plugin-pwa only emits the worker for production builds
+  if (process.env.NODE_ENV !== 'production') return;
+  registered = true;
+
+  window.addEventListener('load', () => {
+    import('workbox-window')
+      .then(({ Workbox }) => {
+        workbox = new Workbox('/sw.js', { scope: '/' });
+
+        // A new build is installed and waiting for this page to let it take over
+        workbox.addEventListener('waiting', () => {
+          setUpdateState({ updateAvailable: true });
+        });
+
+        return workbox.register();
+      })
+      .then(() => {
+        setInterval(() => workbox.update(), UPDATE_CHECK_INTERVAL);
+      })
+      .catch(() => {
+        // Service worker registration failed, app will still work online
+      });
+  });
+};
+
+// The Workbox instance, null until registration has started after the page load
+export const getServiceWorker = () => workbox;
+
+// Update store API, consumed by useServiceWorkerUpdate
+export const subscribeToUpdates = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getUpdateState = () => updateState;
+
+// Activate the waiting worker, then reload once it controls the page
+export const applyUpdate = () => {
+  if (!workbox || !updateState.updateAvailable) return;
+
+  setUpdateState({ updating: true });
+  workbox.addEventListener('controlling', () => {
+    window.location.reload();
+  });
+  workbox.messageSkipWaiting();
+};
+
+// Hide the prompt; the update is applied on the next full page load
+export const dismissUpdate = () => {
+  setUpdateState({ updateAvailable: false });
+};
+
+export const checkForUpdate = () => (workbox ? workbox.update() : Promise.resolve());
@@ -0,0 +1,64 @@
+// Two-tier cache: MemoryCache (L1) in front of PersistentCache (L2)
+
+export class TieredCache {
+  constructor({ memory, persistent }) {
+    this.memory = memory;
+    this.persistent = persistent;
+    this.inflight = new Map();
+  }
+
+  async get(key) {
+    const value = this.memory.get(key);
+    if (value !== null) return value;
+
+    const entry = await this.persistent.getEntry(key);
+    if (!entry) return null;
+
+    // Promote to L1 for whatever lifetime the entry has left
+    this.memory.set(key, entry.value, { ttl: entry.expires - Date.now() });
+    return entry.value;
+  }
+
+  async set(key, value, options) {
+    this.memory.set(key, value, options);
+    await this.persistent.set(key, value, options);
+  }
+
+  // Returns the cached value from either tier, or loads it once
+  async getOrSet(key, loader, options) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const promise = this.get(key)
+      .then(async (cached) => {
+        if (cached !== null) return cached;
+
+        const value = await loader(key);
+        await this.set(key, value, options);
+        return value;
+      })
+      .finally(() => {
+        this.inflight.delete(key);
+      });
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    await this.persistent.delete(key);
+  }
+
+  async deleteWhere(predicate) {
+    const memoryKeys = this.memory.deleteWhere(predicate);
+    const persistentKeys = await this.persistent.deleteWhere(predicate);
+    return Array.from(new Set([...memoryKeys, ...persistentKeys]));
+  }
+
+  async clear() {
+    this.memory.clear();
+    await this.persistent.clear();
+  }
+}
@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { MemoryCache } from './memoryCache';
+import { PersistentCache } from './persistentCache';
+import { TieredCache } from './tieredCache';
+
+describe('TieredCache', () => {
+  let now;
+  let memory;
+  let persistent;
+  let cache;
+
+  beforeEach(() => {
+    now = 1000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+
+    memory = new MemoryCache({ maxSize: 10, ttl: 1000 });
+    persistent = new PersistentCache({
+      indexedDB: new IDBFactory(),
+      IDBKeyRange,
+      storage: null,
+      ttl: 1000
+    });
+    cache = new TieredCache({ memory, persistent });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('writes to both tiers', async () => {
+    await cache.set('a', { value: 1 });
+
+    expect(memory.get('a')).toEqual({ value: 1 });
+    expect(await persistent.get('a')).toEqual({ value: 1 });
+  });
+
+  it('falls back to IndexedDB and promotes the entry for its remaining lifetime', async () => {
+    await cache.set('a', 'stored', { ttl: 5000 });
+    memory.clear();
+
+    now += 1000;
+    expect(await cache.get('a')).toBe('stored');
+    expect(memory.get('a')).toBe('stored');
+
+    // 4000ms were left, not the memory tier's default 1000ms
+    now += 3000;
+    expect(memory.get('a')).toBe('stored');
+    now += 1001;
+    expect(memory.get('a')).toBeNull();
+  });
+
+  it('loads a missing value once for concurrent callers', async () => {
+    const loader = vi.fn().mockResolvedValue('loaded');
+
+    const results = await Promise.all([
+      cache.getOrSet('a', loader),
+      cache.getOrSet('a', loader)
+    ]);
+
+    expect(results).toEqual(['loaded', 'loaded']);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(await persistent.get('a')).toBe('loaded');
+  });
+
+  it('deletes matching entries from both tiers', async () => {
+    await cache.set('a', 1, { tags: ['dashboard'] });
+    await cache.set('b', 2);
+
+    const deleted = await cache.deleteWhere((key, value, tags) => tags.includes('dashboard'));
+
+    expect(deleted).toEqual(['a']);
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.get('b')).toBe(2);
+  });
+});
@@ -0,0 +1,51 @@
+// Core Web Vitals from the web-vitals attribution build, loaded by
+// performanceMonitor in a chunk of its own
+export { onFCP, onLCP, onINP, onCLS, onTTFB } from 'web-vitals/attribution';
+
+// Keep only the serializable parts of web-vitals attribution
+export const summarizeAttribution = (name, attribution = {}) => {
+  switch (name) {
+    case 'LCP':
+      return {
+        element: attribution.element,
+        url: attribution.url,
+        timeToFirstByte: attribution.timeToFirstByte,
+        resourceLoadDelay: attribution.resourceLoadDelay,
+        resourceLoadDuration: attribution.resourceLoadDuration,
+        elementRenderDelay: attribution.elementRenderDelay
+      };
+    case 'INP':
+      return {
+        target: attribution.interactionTarget,
+        eventType: attribution.processedEventEntries?.[0]?.name,
+        interactionType: attribution.interactionType,
+        inputDelay: attribution.inputDelay,
+        processingDuration: attribution.processingDuration,
+        presentationDelay: attribution.presentationDelay,
+        loadState: attribution.loadState
+      };
+    case 'CLS':
+      return {
+        largestShiftTarget: attribution.largestShiftTarget,
+        largestShiftTime: attribution.largestShiftTime,
+        largestShiftValue: attribution.largestShiftValue,
+        loadState: attribution.loadState
+      };
+    case 'FCP':
+      return {
+        timeToFirstByte: attribution.timeToFirstByte,
+        firstByteToFCP: attribution.firstByteToFCP,
+        loadState: attribution.loadState
+      };
+    case 'TTFB':
+      return {
+        waitingDuration: attribution.waitingDuration,
+        cacheDuration: attribution.cacheDuration,
+        dnsDuration: attribution.dnsDuration,
+        connectionDuration: attribution.connectionDuration,
+        requestDuration: attribution.requestDuration
+      };
+    default:
+      return attribution;
+  }
+};
@@ -0,0 +1,233 @@
+// Pool of Web Workers for CPU-heavy work off the main thread
+//
+// Each worker runs one call at a time; calls beyond the pool size wait in a
+// queue. Running JavaScript can't be interrupted from outside, so cancelling a
+// call (AbortSignal or timeout) that has already started terminates its worker,
+// and a fresh one is created for the next call.
+//
+//   const pool = new WorkerPool(() =>
+//     new Worker(new URL('../workers/heavy.worker.js', import.meta.url), { type: 'module' })
+//   );
+//   const result = await pool.api.crunch(input);
+import { MessageType, collectTransferables, deserializeError } from './workerRpc';
+
+// Leave a core for the main thread
+const getDefaultSize = () => {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+};
+
+const DEFAULT_OPTIONS = {
+  size: getDefaultSize(),
+  // Per-call limit in ms; 0 for none
+  timeout: 0,
+  // Terminate workers left idle this long; 0 keeps them
+  idleTimeout: 30000
+};
+
+export class WorkerPool {
+  constructor(createWorker, options = {}) {
+    this.createWorker = createWorker;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 0;
+    this.stats = { completed: 0, failed: 0, cancelled: 0, timedOut: 0 };
+
+    // Comlink-style calls: pool.api.method(...args) is pool.run('method', args).
+    // `then` stays undefined so the proxy isn't mistaken for a promise.
+    this.api = new Proxy({}, {
+      get: (target, method) => (method === 'then' || typeof method !== 'string'
+        ? undefined
+        : (...args) => this.run(method, args))
+    });
+  }
+
+  get supported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  configure(options) {
+    this.options = { ...this.options, ...options };
+    this.pump();
+  }
+
+  // Call `method` in a worker. Options: signal (AbortSignal), timeout (ms) and
+  // transfer (extra transferables, besides arguments wrapped in transfer()).
+  run(method, args = [], { signal, timeout = this.options.timeout, transfer = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.supported) {
+        reject(new Error('Web Workers are not supported in this environment'));
+        return;
+      }
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const task = {
+        id: ++this.nextId,
+        method,
+        args,
+        transfer: [...transfer, ...collectTransferables(args)],
+        timeout,
+        signal,
+        resolve,
+        reject,
+        slot: null,
+        timer: null,
+        settled: false
+      };
+
+      if (signal) {
+        task.handleAbort = () => this.cancel(task, signal.reason);
+        signal.addEventListener('abort', task.handleAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.pump();
+    });
+  }
+
+  pump() {
+    while (this.queue.length > 0) {
+      const slot = this.getIdleSlot();
+      if (!slot) return;
+      this.start(slot, this.queue.shift());
+    }
+  }
+
+  getIdleSlot() {
+    const idle = this.slots.find(slot => !slot.task);
+    if (idle) return idle;
+    return this.slots.length < this.options.size ? this.spawn() : null;
+  }
+
+  spawn() {
+    const slot = { worker: this.createWorker(), task: null, idleTimer: null };
+
+    slot.worker.addEventListener('message', ({ data }) => this.handleMessage(slot, data));
+    // Uncaught errors outside a call, or the script failed to load
+    slot.worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this.handleCrash(slot, new Error(event.message || 'Worker failed to start'));
+    });
+    slot.worker.addEventListener('messageerror', () => {
+      this.handleCrash(slot, new Error('Worker response could not be deserialized'));
+    });
+
+    this.slots.push(slot);
+    return slot;
+  }
+
+  start(slot, task) {
+    clearTimeout(slot.idleTimer);
+    slot.task = task;
+    task.slot = slot;
+
+    if (task.timeout > 0) {
+      task.timer = setTimeout(() => {
+        this.stats.timedOut++;
+        this.cancel(task, new DOMException(
+          `Worker call "${task.method}" timed out after ${task.timeout}ms`,
+          'TimeoutError'
+        ));
+      }, task.timeout);
+    }
+
+    try {
+      slot.worker.postMessage({ type: MessageType.CALL, id: task.id, method: task.method, args: task.args }, task.transfer);
+    } catch (error) {
+      // DataCloneError: an argument can't be sent to a worker
+      slot.task = null;
+      this.settle(task);
+      this.stats.failed++;
+      task.reject(error);
+      this.release(slot);
+    }
+  }
+
+  handleMessage(slot, data) {
+    const { task } = slot;
+    if (!task || !data || data.id !== task.id) return;
+
+    slot.task = null;
+    this.settle(task);
+
+    if (data.type === MessageType.RESULT) {
+      this.stats.completed++;
+      task.resolve(data.value);
+    } else {
+      this.stats.failed++;
+      task.reject(deserializeError(data.error));
+    }
+    this.release(slot);
+  }
+
+  handleCrash(slot, error) {
+    const { task } = slot;
+    this.remove(slot);
+    if (task && !task.settled) {
+      this.settle(task);
+      this.stats.failed++;
+      task.reject(error);
+    }
+    this.pump();
+  }
+
+  cancel(task, reason) {
+    if (task.settled) return;
+
+    this.settle(task);
+    this.stats.cancelled++;
+    if (task.slot) {
+      // Stop the running call by replacing its worker
+      this.remove(task.slot);
+    } else {
+      this.queue = this.queue.filter(queued => queued !== task);
+    }
+    task.reject(reason);
+    this.pump();
+  }
+
+  settle(task) {
+    task.settled = true;
+    clearTimeout(task.timer);
+    if (task.signal) task.signal.removeEventListener('abort', task.handleAbort);
+  }
+
+  // Ready for the next call; idle workers are let go after a while
+  release(slot) {
+    if (this.options.idleTimeout > 0) {
+      slot.idleTimer = setTimeout(() => {
+        if (!slot.task) this.remove(slot);
+      }, this.options.idleTimeout);
+    }
+    this.pump();
+  }
+
+  remove(slot) {
+    clearTimeout(slot.idleTimer);
+    slot.worker.terminate();
+    this.slots = this.slots.filter(other => other !== slot);
+  }
+
+  // Reject everything pending and stop all workers; later calls start new ones
+  terminate() {
+    const reason = new DOMException('Worker pool terminated', 'AbortError');
+    const pending = [...this.queue, ...this.slots.map(slot => slot.task).filter(Boolean)];
+    // Emptied first so cancelling doesn't start queued calls on new workers
+    this.queue = [];
+    pending.forEach(task => this.cancel(task, reason));
+    [...this.slots].forEach(slot => this.remove(slot));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      workers: this.slots.length,
+      busy: this.slots.filter(slot => slot.task).length,
+      queued: this.queue.length
+    };
+  }
+}
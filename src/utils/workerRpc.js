@@ -0,0 +1,56 @@
+// Message protocol between WorkerPool (utils/workerPool.js) and the functions a
+// worker exposes. Shared by the page and worker bundles, so nothing here may
+// touch the DOM.
+
+export const MessageType = {
+  CALL: 'call',
+  RESULT: 'result',
+  ERROR: 'error'
+};
+
+// Objects registered with transfer(), and what to transfer along with them
+const transferables = new WeakMap();
+
+// Move rather than copy: pool.api.parse(transfer(buffer, [buffer])), or
+// `return transfer(result, [result.buffer])` inside a worker. Like comlink's.
+export const transfer = (value, list) => {
+  transferables.set(value, list);
+  return value;
+};
+
+export const collectTransferables = values =>
+  values.flatMap(value => (value !== null && typeof value === 'object' && transferables.get(value)) || []);
+
+// Errors don't survive structured cloning with their name and extra fields
+export const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error) };
+  }
+  return { ...error, name: error.name, message: error.message, stack: error.stack };
+};
+
+export const deserializeError = ({ name, message, stack, ...fields }) => {
+  const error = Object.assign(new Error(message), fields);
+  error.name = name;
+  if (stack) error.stack = stack;
+  return error;
+};
+
+// Worker side: answer calls from WorkerPool with the functions in `api`.
+// Functions may be async and may return transfer(...)ed values.
+export const expose = (api, scope = self) => {
+  scope.addEventListener('message', async ({ data }) => {
+    if (!data || data.type !== MessageType.CALL) return;
+    const { id, method, args } = data;
+
+    try {
+      if (typeof api[method] !== 'function') {
+        throw new TypeError(`Worker does not expose "${method}"`);
+      }
+      const value = await api[method](...args);
+      scope.postMessage({ type: MessageType.RESULT, id, value }, collectTransferables([value]));
+    } catch (error) {
+      scope.postMessage({ type: MessageType.ERROR, id, error: serializeError(error) });
+    }
+  });
+};
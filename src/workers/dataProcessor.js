@@ -0,0 +1,10 @@
+import { WorkerPool } from '../utils/workerPool';
+
+// Workers start on the first call; Vite bundles the worker as its own chunk
+export const dataProcessor = new WorkerPool(
+  () => new Worker(new URL('./dataProcessor.worker.js', import.meta.url), {
+    type: 'module',
+    name: 'data-processor'
+  }),
+  { timeout: 10000 }
+);
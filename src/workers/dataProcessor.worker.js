@@ -0,0 +1,25 @@
+// Dashboard data processing, run off the main thread (see dataProcessor.js)
+import { expose } from '../utils/workerRpc';
+
+const processItems = (items) => {
+  const processed = items.map(item => ({
+    ...item,
+    processed: true,
+    timestamp: Date.now()
+  }));
+
+  const values = items.map(item => item.value);
+  const total = values.reduce((sum, value) => sum + value, 0);
+
+  return {
+    items: processed,
+    stats: {
+      count: values.length,
+      min: values.length > 0 ? Math.min(...values) : null,
+      max: values.length > 0 ? Math.max(...values) : null,
+      mean: values.length > 0 ? total / values.length : null
+    }
+  };
+};
+
+expose({ processItems });
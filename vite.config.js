@@ -1,13 +1,43 @@
+import fs from 'node:fs';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import viteCompression from 'vite-plugin-compression';
 import { VitePWA } from 'vite-plugin-pwa';
 import { visualizer } from 'rollup-plugin-visualizer';
+import performanceBudget from './plugins/performanceBudget';
+import { getBuildId } from './plugins/buildId';
+import responsiveImages from './plugins/responsiveImages';
+import collectorStub from './plugins/collectorStub';
+import minifyServiceWorker from './plugins/minifyServiceWorker';
+
+// Versions caches (see src/utils/cacheConfig.js); changes with every new build
+const buildId = getBuildId();
+
+// Sent with every error report (see src/utils/errorReporter.js)
+const { version: appVersion } = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
+
+// React.Profiler only reports timings in production with the profiling build
+// of react-dom; enable with REACT_PROFILING=true (see componentProfiler.js)
+const reactProfiling = process.env.REACT_PROFILING === 'true';
+
+// Shared by the app and the service worker build
+const terserOptions = {
+  compress: {
+    drop_console: true,
+    drop_debugger: true,
+  },
+};
 
 export default defineConfig({
   plugins: [
     react(),
     
+    // `import img from './photo.jpg?responsive'`: AVIF/WebP/original at every srcset width
+    responsiveImages(),
+    
+    // Dev/preview only: POST /__collect/errors etc. to test reporting locally
+    collectorStub(),
+    
     // Gzip and Brotli compression
     viteCompression({
       algorithm: 'gzip',
@@ -20,25 +50,20 @@ export default defineConfig({
     
     // PWA support for offline functionality
     VitePWA({
-      registerType: 'autoUpdate',
-      workbox: {
+      // Users confirm updates through the UpdateBanner instead of mid-session swaps
+      registerType: 'prompt',
+      // Our own worker (src/sw.js), registered from src/utils/serviceWorker.js
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      injectRegister: false,
+      injectManifest: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,webp,woff2}'],
-        runtimeCaching: [
-          {
-            urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'google-fonts-cache',
-              expiration: {
-                maxEntries: 10,
-                maxAgeSeconds: 60 * 60 * 24 * 365, // 1 year
-              },
-              cacheableResponse: {
-                statuses: [0, 200],
-              },
-            },
-          },
-        ],
+        // Opt-in debugging UI; fetched on demand, not worth precaching for everyone.
+        // Responsive image variants go through the runtime image cache instead
+        globIgnores: ['**/DevOverlay-*', '**/assets/images/**'],
+        // The worker is built separately and isn't minified otherwise
+        plugins: [minifyServiceWorker(terserOptions)],
       },
       manifest: {
         name: 'Jibril App',
@@ -57,17 +82,32 @@ export default defineConfig({
       gzipSize: true,
       brotliSize: true,
     }),
+    
+    // Fail the build when performance-budget.json is exceeded
+    performanceBudget(),
   ],
   
+  define: {
+    __BUILD_ID__: JSON.stringify(buildId),
+    __APP_VERSION__: JSON.stringify(appVersion),
+  },
+  
+  // Module workers (new Worker(new URL(...), { type: 'module' })), so they can
+  // share code with the app and be split like it (see src/utils/workerPool.js)
+  worker: {
+    format: 'es',
+  },
+  
+  resolve: {
+    alias: reactProfiling
+      ? [{ find: /^react-dom$/, replacement: 'react-dom/profiling' }]
+      : [],
+  },
+  
   build: {
     // Enable minification
     minify: 'terser',
-    terserOptions: {
-      compress: {
-        drop_console: true,
-        drop_debugger: true,
-      },
-    },
+    terserOptions,
     
     // Split vendor chunks for better caching
     rollupOptions: {